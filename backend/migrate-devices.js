@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Gives accounts from before multi-device support a primary device and
+// assigns their existing prekeys to it. Run it BEFORE `prisma db push`,
+// which cannot add the required prekeys.deviceId / one_time_prekeys.deviceId
+// columns to tables that already hold rows. The primary device takes the
+// user's ID and identity key, as the server does for accounts it upgrades
+// lazily. Safe to run more than once.
+// Run with: node migrate-devices.js
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+async function migrateDevices(prisma) {
+  return prisma.$transaction(async (tx) => {
+    // The table and columns `prisma db push` would add; it adds the rest
+    // of the device columns, the foreign keys and the indexes itself
+    await tx.$executeRaw`
+      CREATE TABLE IF NOT EXISTS "devices" (
+        "id" TEXT NOT NULL,
+        "userId" TEXT NOT NULL,
+        "name" TEXT,
+        "identityPubkey" TEXT NOT NULL,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "devices_pkey" PRIMARY KEY ("id")
+      )
+    `;
+    await tx.$executeRaw`ALTER TABLE "prekeys" ADD COLUMN IF NOT EXISTS "deviceId" TEXT`;
+    await tx.$executeRaw`ALTER TABLE "one_time_prekeys" ADD COLUMN IF NOT EXISTS "deviceId" TEXT`;
+
+    const devices = await tx.$executeRaw`
+      INSERT INTO "devices" ("id", "userId", "name", "identityPubkey")
+      SELECT u."id", u."id", 'primary', u."identityPubkey"
+      FROM "users" u
+      WHERE NOT EXISTS (SELECT 1 FROM "devices" d WHERE d."userId" = u."id")
+      ON CONFLICT ("id") DO NOTHING
+    `;
+
+    // Existing keys belong to the oldest (primary) device
+    const prekeys = await tx.$executeRaw`
+      UPDATE "prekeys" p
+      SET "deviceId" = (
+        SELECT d."id" FROM "devices" d
+        WHERE d."userId" = p."userId"
+        ORDER BY d."createdAt" ASC
+        LIMIT 1
+      )
+      WHERE p."deviceId" IS NULL
+    `;
+    const oneTimePrekeys = await tx.$executeRaw`
+      UPDATE "one_time_prekeys" p
+      SET "deviceId" = (
+        SELECT d."id" FROM "devices" d
+        WHERE d."userId" = p."userId"
+        ORDER BY d."createdAt" ASC
+        LIMIT 1
+      )
+      WHERE p."deviceId" IS NULL
+    `;
+
+    return { devices, prekeys, oneTimePrekeys };
+  });
+}
+
+if (require.main === module) {
+  const prisma = new PrismaClient();
+
+  console.log('📱 Assigning existing accounts and prekeys to primary devices...');
+  migrateDevices(prisma)
+    .then(({ devices, prekeys, oneTimePrekeys }) => {
+      console.log(`✅ ${devices} primary devices created, ${prekeys} signed prekeys and ${oneTimePrekeys} one-time prekeys assigned`);
+    })
+    .catch((error) => {
+      console.error('❌ Device migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { migrateDevices };
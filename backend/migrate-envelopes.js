@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// Rewrites message ciphertexts stored before versioned envelopes into the
+// v1 envelope format. Safe to run more than once: rows that already hold an
+// envelope are left alone.
+// Run with: node migrate-envelopes.js
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { upgradeStoredCiphertext } = require('./src/utils/envelopes');
+
+const BATCH_SIZE = 500;
+
+async function migrateEnvelopes(prisma) {
+  let cursor = null;
+  let scanned = 0;
+  let upgraded = 0;
+
+  for (;;) {
+    // Deleted messages have no ciphertext left to convert
+    const batch = await prisma.message.findMany({
+      where: { ciphertext: { not: null } },
+      select: { id: true, ciphertext: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    const updates = batch
+      .map(message => ({ id: message.id, ciphertext: upgradeStoredCiphertext(message.ciphertext) }))
+      .filter(update => update.ciphertext !== null);
+
+    if (updates.length > 0) {
+      await prisma.$transaction(updates.map(update => prisma.message.update({
+        where: { id: update.id },
+        data: { ciphertext: update.ciphertext }
+      })));
+    }
+
+    scanned += batch.length;
+    upgraded += updates.length;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  return { scanned, upgraded };
+}
+
+if (require.main === module) {
+  const prisma = new PrismaClient();
+
+  console.log('✉️  Migrating message ciphertexts to v1 envelopes...');
+  migrateEnvelopes(prisma)
+    .then(({ scanned, upgraded }) => {
+      console.log(`✅ ${upgraded} of ${scanned} messages upgraded`);
+    })
+    .catch((error) => {
+      console.error('❌ Envelope migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { migrateEnvelopes };
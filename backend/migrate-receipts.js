@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Carries the old `delivered` / `acknowledged` message flags over to the
+// receipt state machine: delivered -> DELIVERED, acknowledged -> READ. Run
+// it BEFORE `prisma db push`, which drops the old columns. The flags carried
+// no times, so the message's createdAt stands in for deliveredAt / readAt.
+// Safe to run more than once, and a no-op once the old columns are gone.
+// Run with: node migrate-receipts.js
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+async function migrateReceipts(prisma) {
+  const columns = await prisma.$queryRaw`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'messages'
+      AND column_name IN ('delivered', 'acknowledged')
+  `;
+
+  if (columns.length < 2) {
+    return { skipped: true, delivered: 0, read: 0 };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // The columns `prisma db push` would add, so the flags can be copied
+    // into them before it drops the old ones
+    await tx.$executeRaw`
+      DO $$ BEGIN
+        CREATE TYPE "MessageStatus" AS ENUM ('SENT', 'DELIVERED', 'READ');
+      EXCEPTION
+        WHEN duplicate_object THEN NULL;
+      END $$
+    `;
+    await tx.$executeRaw`
+      ALTER TABLE "messages"
+        ADD COLUMN IF NOT EXISTS "status" "MessageStatus" NOT NULL DEFAULT 'SENT',
+        ADD COLUMN IF NOT EXISTS "deliveredAt" TIMESTAMP(3),
+        ADD COLUMN IF NOT EXISTS "readAt" TIMESTAMP(3)
+    `;
+
+    // Acknowledged messages were read, and so delivered too
+    const read = await tx.$executeRaw`
+      UPDATE "messages"
+      SET "status" = 'READ',
+          "deliveredAt" = COALESCE("deliveredAt", "createdAt"),
+          "readAt" = COALESCE("readAt", "createdAt")
+      WHERE "acknowledged" AND "status" <> 'READ'
+    `;
+    const delivered = await tx.$executeRaw`
+      UPDATE "messages"
+      SET "status" = 'DELIVERED',
+          "deliveredAt" = COALESCE("deliveredAt", "createdAt")
+      WHERE "delivered" AND NOT "acknowledged" AND "status" = 'SENT'
+    `;
+
+    return { skipped: false, delivered, read };
+  });
+}
+
+if (require.main === module) {
+  const prisma = new PrismaClient();
+
+  console.log('📬 Migrating message delivery flags to receipt states...');
+  migrateReceipts(prisma)
+    .then(({ skipped, delivered, read }) => {
+      if (skipped) {
+        console.log('✅ No delivery flags left to migrate');
+      } else {
+        console.log(`✅ ${delivered} messages marked DELIVERED, ${read} marked READ`);
+      }
+    })
+    .catch((error) => {
+      console.error('❌ Receipt migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { migrateReceipts };
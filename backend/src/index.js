@@ -7,15 +7,27 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const registrationLockRoutes = require('./routes/registrationLock');
 const prekeyRoutes = require('./routes/prekeys');
 const messageRoutes = require('./routes/messages');
+const sealedRoutes = require('./routes/sealed');
 const userRoutes = require('./routes/users');
+const attachmentRoutes = require('./routes/attachments');
+const deviceRoutes = require('./routes/devices');
+const groupRoutes = require('./routes/groups');
+const contactRoutes = require('./routes/contacts');
+const pushRoutes = require('./routes/push');
 
 const authMiddleware = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
 
 const SocketService = require('./services/socketService');
+const { getSocketBus } = require('./services/socketBus');
+const { createBusAdapter } = require('./services/socketAdapter');
+const MessageExpiryService = require('./services/messageExpiryService');
+const AttachmentGcService = require('./services/attachmentGcService');
 
 const app = express();
 const server = createServer(app);
@@ -44,9 +56,21 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', authMiddleware, twoFactorRoutes);
+app.use('/api/auth/registration-lock', authMiddleware, registrationLockRoutes);
 app.use('/api/prekeys', authMiddleware, prekeyRoutes);
+// Sealed sends authenticate with a delivery token, not a JWT
+app.use('/api/messages/sealed', sealedRoutes);
 app.use('/api/messages', authMiddleware, messageRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/devices', authMiddleware, deviceRoutes);
+app.use('/api/groups', authMiddleware, groupRoutes);
+app.use('/api/contacts', authMiddleware, contactRoutes);
+app.use('/api/attachments', authMiddleware, attachmentRoutes);
+app.use('/api/push', authMiddleware, pushRoutes);
+
+// Share rooms with other backend instances (SOCKET_BUS=redis when scaled out)
+io.adapter(createBusAdapter(getSocketBus()));
 
 // Initialize Socket.IO service
 const socketService = new SocketService(io);
@@ -55,6 +79,14 @@ socketService.initialize();
 // Make io available to routes
 app.set('io', io);
 
+// Purge messages whose disappearing timer has run out
+const messageExpiryService = new MessageExpiryService(io);
+messageExpiryService.start();
+
+// Remove abandoned and unreferenced attachment blobs
+const attachmentGcService = new AttachmentGcService();
+attachmentGcService.start();
+
 // Error handling
 app.use(errorHandler);
 
@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { resolveDevice } = require('../utils/devices');
+const { authenticateAccessToken } = require('../utils/sessions');
 
 const prisma = new PrismaClient();
 
@@ -11,19 +12,29 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user still exists
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, username: true, email: true }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token. User not found.' });
+    // Verify token, and that its session is still active and the user still exists
+    const auth = await authenticateAccessToken(prisma, token);
+
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid token. Session revoked or user not found.' });
+    }
+
+    const { user, session } = auth;
+    req.user = { id: user.id, username: user.username, email: user.email };
+    req.session = session;
+
+    // Optional device binding for multi-device clients; sessions started
+    // from a known device default to it
+    const deviceId = req.header('X-Device-Id') || session.deviceId;
+    req.device = null;
+    if (deviceId) {
+      const device = await resolveDevice(prisma, user.id, deviceId);
+      if (!device) {
+        return res.status(401).json({ error: 'Invalid device.' });
+      }
+      req.device = device;
     }
 
-    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
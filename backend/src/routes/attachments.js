@@ -0,0 +1,263 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, header, validationResult } = require('express-validator');
+const { getAttachmentStore } = require('../services/attachmentStore');
+const {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_USER_QUOTA_BYTES,
+  ATTACHMENT_CHUNK_MAX_BYTES
+} = require('../utils/attachments');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateAttachmentCreate = [
+  body('size')
+    .isInt({ min: 1, max: ATTACHMENT_MAX_BYTES })
+    .withMessage(`Size must be between 1 and ${ATTACHMENT_MAX_BYTES} bytes`)
+];
+
+const validateChunkUpload = [
+  header('Upload-Offset')
+    .isInt({ min: 0 })
+    .withMessage('Upload-Offset header must be a non-negative integer')
+];
+
+const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  size: attachment.size,
+  receivedBytes: attachment.receivedBytes,
+  status: attachment.status,
+  createdAt: attachment.createdAt,
+  completedAt: attachment.completedAt
+});
+
+// Uploader, or recipient of a message that references the attachment
+const canDownload = async (attachment, userId) => {
+  if (attachment.uploaderId === userId) {
+    return true;
+  }
+
+  const reference = await prisma.messageAttachment.findFirst({
+    where: {
+      attachmentId: attachment.id,
+      message: { recipientId: userId }
+    }
+  });
+  return Boolean(reference);
+};
+
+// Start an upload for a client-encrypted blob of a known size
+router.post('/', validateAttachmentCreate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const size = parseInt(req.body.size);
+    const uploaderId = req.user.id;
+
+    const usage = await prisma.attachment.aggregate({
+      where: { uploaderId },
+      _sum: { size: true }
+    });
+    const usedBytes = usage._sum.size || 0;
+
+    if (usedBytes + size > ATTACHMENT_USER_QUOTA_BYTES) {
+      return res.status(413).json({
+        error: 'Attachment quota exceeded',
+        usedBytes,
+        quotaBytes: ATTACHMENT_USER_QUOTA_BYTES
+      });
+    }
+
+    const attachment = await prisma.attachment.create({
+      data: { uploaderId, size }
+    });
+
+    res.status(201).json({
+      attachment: formatAttachment(attachment),
+      maxChunkBytes: ATTACHMENT_CHUNK_MAX_BYTES
+    });
+
+  } catch (error) {
+    console.error('Attachment create error:', error);
+    res.status(500).json({ error: 'Failed to create attachment' });
+  }
+});
+
+// Upload status, so an interrupted upload can resume from receivedBytes
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: req.params.attachmentId }
+    });
+
+    if (!attachment || !(await canDownload(attachment, req.user.id))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json({ attachment: formatAttachment(attachment) });
+
+  } catch (error) {
+    console.error('Attachment status error:', error);
+    res.status(500).json({ error: 'Failed to get attachment' });
+  }
+});
+
+// Append a chunk. Upload-Offset must equal the bytes received so far.
+router.patch('/:attachmentId/content',
+  express.raw({ type: 'application/octet-stream', limit: ATTACHMENT_CHUNK_MAX_BYTES }),
+  validateChunkUpload,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { attachmentId } = req.params;
+      const offset = parseInt(req.header('Upload-Offset'));
+      const chunk = req.body;
+
+      if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        return res.status(400).json({ error: 'Chunk body must be non-empty application/octet-stream' });
+      }
+
+      const attachment = await prisma.attachment.findUnique({
+        where: { id: attachmentId }
+      });
+
+      if (!attachment || attachment.uploaderId !== req.user.id) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      if (attachment.status === 'COMPLETE') {
+        return res.status(409).json({ error: 'Upload already complete' });
+      }
+
+      if (offset !== attachment.receivedBytes) {
+        return res.status(409).json({
+          error: 'Upload offset mismatch',
+          receivedBytes: attachment.receivedBytes
+        });
+      }
+
+      if (offset + chunk.length > attachment.size) {
+        return res.status(400).json({ error: 'Chunk exceeds declared attachment size' });
+      }
+
+      const receivedBytes = offset + chunk.length;
+      const isComplete = receivedBytes === attachment.size;
+
+      // Claim the byte range before writing, conditional on the offset, so
+      // a concurrent chunk for the same offset can never overwrite this one
+      const { count } = await prisma.attachment.updateMany({
+        where: { id: attachmentId, receivedBytes: offset, status: 'UPLOADING' },
+        data: { receivedBytes }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({ error: 'Concurrent upload detected, please resume' });
+      }
+
+      try {
+        await getAttachmentStore().write(attachmentId, offset, chunk);
+      } catch (error) {
+        // Hand the range back so the client can resume from this offset
+        await prisma.attachment.updateMany({
+          where: { id: attachmentId, receivedBytes: { gt: offset } },
+          data: { receivedBytes: offset, status: 'UPLOADING', completedAt: null }
+        });
+        throw error;
+      }
+
+      // Only complete once the last chunk is on disk
+      if (isComplete) {
+        await prisma.attachment.updateMany({
+          where: { id: attachmentId, receivedBytes },
+          data: { status: 'COMPLETE', completedAt: new Date() }
+        });
+      }
+
+      res.json({
+        receivedBytes,
+        status: isComplete ? 'COMPLETE' : 'UPLOADING'
+      });
+
+    } catch (error) {
+      console.error('Attachment chunk upload error:', error);
+      res.status(500).json({ error: 'Failed to upload attachment chunk' });
+    }
+  }
+);
+
+// Download the encrypted blob (uploader and message recipients only)
+router.get('/:attachmentId/content', async (req, res) => {
+  try {
+    const attachment = await prisma.attachment.findUnique({
+      where: { id: req.params.attachmentId }
+    });
+
+    if (!attachment || !(await canDownload(attachment, req.user.id))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (attachment.status !== 'COMPLETE') {
+      return res.status(409).json({ error: 'Upload not complete' });
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': attachment.size
+    });
+
+    const stream = getAttachmentStore().createReadStream(attachment.id);
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download attachment' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Delete an attachment the current user uploaded
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const { count } = await prisma.attachment.deleteMany({
+      where: { id: attachmentId, uploaderId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await getAttachmentStore().remove(attachmentId);
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Attachment delete error:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
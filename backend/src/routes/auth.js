@@ -1,9 +1,30 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authRateLimiter } = require('../middleware/rateLimiter');
+const authMiddleware = require('../middleware/auth');
+const { resolveDevice } = require('../utils/devices');
+const {
+  validateSecondFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../utils/twoFactor');
+const {
+  createSession,
+  rotateRefreshToken,
+  authenticateAccessToken,
+  revokeUserSessions,
+  disconnectSessions
+} = require('../utils/sessions');
+const {
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../utils/accountTokens');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -34,16 +55,86 @@ const validateLogin = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceId')
+    .optional()
+    .isUUID()
+    .withMessage('Device ID must be a valid UUID')
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+const validateLoginChallenge = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...validateSecondFactor
+];
+
+const validateEmail = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const validateToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const validatePasswordReset = [
+  ...validateToken,
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+];
+
+const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+];
+
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// Client details recorded on each session for the session list
+const sessionContext = (req) => ({
+  userAgent: req.header('User-Agent')?.slice(0, 255),
+  ipAddress: req.ip
+});
+
+const SALT_ROUNDS = 12;
+
+// Mail a fresh verification link. Mail trouble is logged rather than
+// failing the request; the user can ask for another link.
+const startEmailVerification = async (user) => {
+  try {
+    const token = await issueAccountToken(prisma, user.id, 'EMAIL_VERIFICATION');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// Same for password resets: a mail failure must not tell registered
+// addresses apart from unknown ones
+const startPasswordReset = async (user) => {
+  try {
+    const token = await issueAccountToken(prisma, user.id, 'PASSWORD_RESET');
+    await sendPasswordResetEmail(user, token);
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
 };
 
 // Register new user
@@ -77,32 +168,52 @@ router.post('/register', authRateLimiter, validateRegistration, async (req, res)
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
-    // Create user
-    const user = await prisma.user.create({
+    // Create user along with their primary device
+    const { devices, ...user } = await prisma.user.create({
       data: {
         username,
         email,
         passwordHash,
-        identityPubkey
+        identityPubkey,
+        devices: {
+          create: {
+            name: 'primary',
+            identityPubkey
+          }
+        }
       },
       select: {
         id: true,
         username: true,
         email: true,
-        createdAt: true
+        createdAt: true,
+        devices: { select: { id: true } }
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // First entry in the identity key history
+    await prisma.identityKey.create({
+      data: { userId: user.id, deviceId: devices[0].id, identityPubkey }
+    });
+
+    // Start a session on the primary device
+    const { token, refreshToken, expiresIn } = await createSession(prisma, {
+      userId: user.id,
+      deviceId: devices[0].id,
+      ...sessionContext(req)
+    });
+
+    await startEmailVerification(user);
 
     res.status(201).json({
       message: 'User created successfully',
-      user,
-      token
+      user: { ...user, emailVerified: false },
+      deviceId: devices[0].id,
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -111,7 +222,40 @@ router.post('/register', authRateLimiter, validateRegistration, async (req, res)
   }
 });
 
-// Login user
+// Session and response for a user who passed every login step
+const completeLogin = async (req, res, user, deviceId, secondFactorAt = null) => {
+  const { token, refreshToken, expiresIn } = await createSession(prisma, {
+    userId: user.id,
+    deviceId,
+    secondFactorAt,
+    ...sessionContext(req)
+  });
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      createdAt: user.createdAt
+    },
+    deviceId,
+    token,
+    refreshToken,
+    expiresIn
+  });
+};
+
+// Accounts locked by running out of key backup downloads can only be
+// recovered with a password reset
+const accountLockedResponse = (res) => res.status(423).json({
+  error: 'Account locked. Reset your password to unlock it.',
+  accountLocked: true
+});
+
+// Login user. With 2FA on, the password only earns a challenge token to
+// redeem at /login/2fa.
 router.post('/login', authRateLimiter, validateLogin, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -122,7 +266,7 @@ router.post('/login', authRateLimiter, validateLogin, async (req, res) => {
       });
     }
 
-    const { email, password } = req.body;
+    const { email, password, deviceId } = req.body;
 
     // Find user
     const user = await prisma.user.findUnique({
@@ -139,19 +283,25 @@ router.post('/login', authRateLimiter, validateLogin, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    if (user.accountLockedAt) {
+      return accountLockedResponse(res);
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        createdAt: user.createdAt
-      },
-      token
-    });
+    // Sessions may be bound to one of the user's devices
+    const device = await resolveDevice(prisma, user.id, deviceId);
+    if (!device) {
+      return res.status(400).json({ error: 'Unknown device' });
+    }
+
+    if (user.totpEnabledAt) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user.id, device.id)
+      });
+    }
+
+    await completeLogin(req, res, user, device.id);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -159,6 +309,221 @@ router.post('/login', authRateLimiter, validateLogin, async (req, res) => {
   }
 });
 
+// Second login step: a TOTP code or recovery code for the challenge
+router.post('/login/2fa', authRateLimiter, validateLoginChallenge, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const challenge = verifyLoginChallenge(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId }
+    });
+
+    if (!user || !await verifySecondFactor(prisma, user, req.body)) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    if (user.accountLockedAt) {
+      return accountLockedResponse(res);
+    }
+
+    // The device may have been removed since the password step
+    const device = await resolveDevice(prisma, user.id, challenge.deviceId);
+    if (!device) {
+      return res.status(400).json({ error: 'Unknown device' });
+    }
+
+    await completeLogin(req, res, user, device.id, new Date());
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', authRateLimiter, validateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const userId = await consumeAccountToken(prisma, req.body.token, 'EMAIL_VERIFICATION');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Send another verification email to the current user
+router.post('/verify-email/resend', authRateLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, username: true, email: true, emailVerifiedAt: true }
+    });
+
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'Email already verified' });
+    }
+
+    await startEmailVerification(user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Start a password reset. The response is the same whether or not the
+// email belongs to an account.
+router.post('/forgot-password', authRateLimiter, validateEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email },
+      select: { id: true, username: true, email: true }
+    });
+
+    if (user) {
+      await startPasswordReset(user);
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Set a new password with a reset token. Every session is signed out.
+router.post('/reset-password', authRateLimiter, validatePasswordReset, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const userId = await consumeAccountToken(prisma, req.body.token, 'PASSWORD_RESET');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { emailVerifiedAt: true }
+    });
+
+    // The reset link proved the user controls the address, so it also
+    // lifts a key backup lock and restores the download allowance
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash,
+        accountLockedAt: null,
+        keyBackupDownloads: 0,
+        ...(!user.emailVerifiedAt && { emailVerifiedAt: new Date() })
+      }
+    });
+
+    const sessionIds = await revokeUserSessions(prisma, userId);
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Change password while logged in. Other sessions are signed out.
+router.post('/change-password', authRateLimiter, authMiddleware, validatePasswordChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, username: true, email: true, passwordHash: true }
+    });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash: await bcrypt.hash(newPassword, SALT_ROUNDS) }
+    });
+
+    const sessionIds = await revokeUserSessions(prisma, user.id, req.session.id);
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (error) {
+      console.error('Password changed email error:', error);
+    }
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions: sessionIds.length
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
 // Verify token (for client-side auth checks)
 router.get('/verify', async (req, res) => {
   try {
@@ -168,22 +533,13 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        createdAt: true
-      }
-    });
+    const auth = await authenticateAccessToken(prisma, token);
 
-    if (!user) {
+    if (!auth) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    res.json({ user, valid: true });
+    res.json({ user: auth.user, sessionId: auth.session.id, valid: true });
 
   } catch (error) {
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -195,4 +551,144 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', authRateLimiter, validateRefresh, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await rotateRefreshToken(prisma, req.body.refreshToken);
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    if (result.reused) {
+      // A rotated token came back: treat the session as compromised
+      disconnectSessions(req.app.get('io'), [result.session.id]);
+      return res.status(401).json({ error: 'Refresh token reuse detected. Session revoked.' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Log out: revoke the current session
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await prisma.session.update({
+      where: { id: req.session.id },
+      data: { revokedAt: new Date() }
+    });
+
+    disconnectSessions(req.app.get('io'), [req.session.id]);
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List active sessions for the current user
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceId: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session.id === req.session.id
+      })),
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Revoke all sessions (other than the current one unless ?includeCurrent=true)
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    const sessionIds = await revokeUserSessions(
+      prisma,
+      req.user.id,
+      includeCurrent ? null : req.session.id
+    );
+
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked: sessionIds.length
+    });
+
+  } catch (error) {
+    console.error('Session revoke-all error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        userId: req.user.id,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    disconnectSessions(req.app.get('io'), [sessionId]);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 module.exports = router;
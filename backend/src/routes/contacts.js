@@ -0,0 +1,375 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { getBlockState, findContact } = require('../utils/contacts');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateUserRef = [
+  body('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+];
+
+const userSummary = { select: { id: true, username: true } };
+
+const formatRequest = (contact) => ({
+  id: contact.id,
+  requester: contact.requester,
+  addressee: contact.addressee,
+  createdAt: contact.createdAt
+});
+
+// List accepted contacts
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const contacts = await prisma.contact.findMany({
+      where: {
+        status: 'ACCEPTED',
+        OR: [{ requesterId: userId }, { addresseeId: userId }]
+      },
+      include: { requester: userSummary, addressee: userSummary },
+      orderBy: { respondedAt: 'desc' }
+    });
+
+    res.json({
+      contacts: contacts.map(contact => ({
+        user: contact.requesterId === userId ? contact.addressee : contact.requester,
+        since: contact.respondedAt
+      })),
+      count: contacts.length
+    });
+
+  } catch (error) {
+    console.error('Contacts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+// List pending requests, incoming and outgoing
+router.get('/requests', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const requests = await prisma.contact.findMany({
+      where: {
+        status: 'PENDING',
+        OR: [{ requesterId: userId }, { addresseeId: userId }]
+      },
+      include: { requester: userSummary, addressee: userSummary },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      incoming: requests.filter(r => r.addresseeId === userId).map(formatRequest),
+      outgoing: requests.filter(r => r.requesterId === userId).map(formatRequest)
+    });
+
+  } catch (error) {
+    console.error('Contact requests fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch contact requests' });
+  }
+});
+
+// Send a contact request. Requesting someone who already asked you accepts theirs.
+router.post('/requests', validateUserRef, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const requesterId = req.user.id;
+    const { userId: addresseeId } = req.body;
+
+    if (requesterId === addresseeId) {
+      return res.status(400).json({ error: 'Cannot add yourself as a contact' });
+    }
+
+    const addressee = await prisma.user.findUnique({
+      where: { id: addresseeId },
+      select: { id: true }
+    });
+
+    // Users who blocked the requester look like they don't exist
+    const blockState = addressee && await getBlockState(prisma, requesterId, addresseeId);
+    if (!addressee || blockState === 'blocked') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (blockState === 'blocking') {
+      return res.status(403).json({ error: 'Unblock this user first' });
+    }
+
+    const io = req.app.get('io');
+    const existing = await findContact(prisma, requesterId, addresseeId);
+
+    if (existing?.status === 'ACCEPTED') {
+      return res.status(409).json({ error: 'Already a contact' });
+    }
+
+    if (existing?.requesterId === requesterId) {
+      return res.status(409).json({ error: 'Contact request already sent' });
+    }
+
+    if (existing) {
+      const contact = await prisma.contact.update({
+        where: { id: existing.id },
+        data: { status: 'ACCEPTED', respondedAt: new Date() }
+      });
+
+      if (io) {
+        io.to(`user_${addresseeId}`).emit('contact_accepted', {
+          requestId: contact.id,
+          userId: requesterId,
+          username: req.user.username
+        });
+      }
+
+      return res.json({
+        message: 'Contact request accepted',
+        request: { id: contact.id, status: contact.status }
+      });
+    }
+
+    const contact = await prisma.contact.create({
+      data: { requesterId, addresseeId }
+    });
+
+    if (io) {
+      io.to(`user_${addresseeId}`).emit('contact_request', {
+        requestId: contact.id,
+        userId: requesterId,
+        username: req.user.username
+      });
+    }
+
+    res.status(201).json({
+      message: 'Contact request sent',
+      request: { id: contact.id, status: contact.status }
+    });
+
+  } catch (error) {
+    console.error('Contact request error:', error);
+    res.status(500).json({ error: 'Failed to send contact request' });
+  }
+});
+
+// Accept an incoming request
+router.post('/requests/:requestId/accept', async (req, res) => {
+  try {
+    const { count } = await prisma.contact.updateMany({
+      where: {
+        id: req.params.requestId,
+        addresseeId: req.user.id,
+        status: 'PENDING'
+      },
+      data: { status: 'ACCEPTED', respondedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Contact request not found' });
+    }
+
+    const contact = await prisma.contact.findUnique({
+      where: { id: req.params.requestId }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${contact.requesterId}`).emit('contact_accepted', {
+        requestId: contact.id,
+        userId: req.user.id,
+        username: req.user.username
+      });
+    }
+
+    res.json({ message: 'Contact request accepted' });
+
+  } catch (error) {
+    console.error('Contact accept error:', error);
+    res.status(500).json({ error: 'Failed to accept contact request' });
+  }
+});
+
+// Decline an incoming request. The requester is not told.
+router.post('/requests/:requestId/decline', async (req, res) => {
+  try {
+    const { count } = await prisma.contact.deleteMany({
+      where: {
+        id: req.params.requestId,
+        addresseeId: req.user.id,
+        status: 'PENDING'
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Contact request not found' });
+    }
+
+    res.json({ message: 'Contact request declined' });
+
+  } catch (error) {
+    console.error('Contact decline error:', error);
+    res.status(500).json({ error: 'Failed to decline contact request' });
+  }
+});
+
+// Withdraw an outgoing request
+router.delete('/requests/:requestId', async (req, res) => {
+  try {
+    const { count } = await prisma.contact.deleteMany({
+      where: {
+        id: req.params.requestId,
+        requesterId: req.user.id,
+        status: 'PENDING'
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Contact request not found' });
+    }
+
+    res.json({ message: 'Contact request withdrawn' });
+
+  } catch (error) {
+    console.error('Contact withdraw error:', error);
+    res.status(500).json({ error: 'Failed to withdraw contact request' });
+  }
+});
+
+// List users the current user has blocked
+router.get('/blocks', async (req, res) => {
+  try {
+    const blocks = await prisma.block.findMany({
+      where: { blockerId: req.user.id },
+      include: { blocked: userSummary },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      blocked: blocks.map(block => ({
+        user: block.blocked,
+        blockedAt: block.createdAt
+      })),
+      count: blocks.length
+    });
+
+  } catch (error) {
+    console.error('Blocks fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+// Block a user. Also drops any contact or pending request between the two,
+// and clears the blocker's sealed-sender delivery token, which the blocked
+// user may hold; the client hands a new one to its remaining contacts.
+router.post('/blocks', validateUserRef, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const blockerId = req.user.id;
+    const { userId: blockedId } = req.body;
+
+    if (blockerId === blockedId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: blockedId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await prisma.$transaction([
+      prisma.block.upsert({
+        where: { blockerId_blockedId: { blockerId, blockedId } },
+        update: {},
+        create: { blockerId, blockedId }
+      }),
+      prisma.contact.deleteMany({
+        where: {
+          OR: [
+            { requesterId: blockerId, addresseeId: blockedId },
+            { requesterId: blockedId, addresseeId: blockerId }
+          ]
+        }
+      }),
+      prisma.user.update({
+        where: { id: blockerId },
+        data: { deliveryTokenHash: null }
+      })
+    ]);
+
+    res.status(201).json({ message: 'User blocked', deliveryTokenCleared: true });
+
+  } catch (error) {
+    console.error('Block error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user (does not restore the contact)
+router.delete('/blocks/:userId', async (req, res) => {
+  try {
+    const { count } = await prisma.block.deleteMany({
+      where: { blockerId: req.user.id, blockedId: req.params.userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+
+  } catch (error) {
+    console.error('Unblock error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// Remove an accepted contact
+router.delete('/:userId', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { userId: otherUserId } = req.params;
+
+    const { count } = await prisma.contact.deleteMany({
+      where: {
+        status: 'ACCEPTED',
+        OR: [
+          { requesterId: userId, addresseeId: otherUserId },
+          { requesterId: otherUserId, addresseeId: userId }
+        ]
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Contact removed' });
+
+  } catch (error) {
+    console.error('Contact remove error:', error);
+    res.status(500).json({ error: 'Failed to remove contact' });
+  }
+});
+
+module.exports = router;
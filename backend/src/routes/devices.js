@@ -0,0 +1,163 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { currentSignedPrekey } = require('../utils/prekeys');
+const { hasFreshSecondFactor } = require('../utils/twoFactor');
+const { registrationLockSatisfied } = require('../utils/registrationLock');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateDeviceRegistration = [
+  body('identityPubkey')
+    .isBase64()
+    .withMessage('Identity public key must be valid base64'),
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Device name must be between 1 and 50 characters')
+];
+
+// Register a new device for the current user. A new device receives every
+// future message, so with 2FA on the session must have passed a second
+// factor check recently, and with a registration lock it must have verified
+// the PIN (POST /api/auth/registration-lock/verify).
+router.post('/', validateDeviceRegistration, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { identityPubkey, name } = req.body;
+    const userId = req.user.id;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { totpEnabledAt: true }
+    });
+
+    if (user?.totpEnabledAt && !hasFreshSecondFactor(req.session)) {
+      return res.status(403).json({
+        error: 'Recent second factor verification required',
+        twoFactorRequired: true
+      });
+    }
+    if (!await registrationLockSatisfied(prisma, userId, req.session)) {
+      return res.status(403).json({
+        error: 'Registration lock PIN required',
+        registrationLockRequired: true
+      });
+    }
+
+    const device = await prisma.device.create({
+      data: {
+        userId,
+        name,
+        identityPubkey,
+        identityKeys: {
+          create: { userId, identityPubkey }
+        }
+      },
+      select: {
+        id: true,
+        name: true,
+        createdAt: true
+      }
+    });
+
+    res.status(201).json({
+      message: 'Device registered successfully. Please upload prekeys for it.',
+      device
+    });
+
+  } catch (error) {
+    console.error('Device registration error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// List current user's devices
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const devices = await prisma.device.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        name: true,
+        createdAt: true,
+        lastSeenAt: true,
+        otpFallbackCount: true,
+        prekeys: {
+          where: currentSignedPrekey,
+          select: { keyId: true, createdAt: true }
+        },
+        _count: { select: { oneTimePrekeys: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      devices: devices.map(device => ({
+        id: device.id,
+        name: device.name,
+        createdAt: device.createdAt,
+        lastSeenAt: device.lastSeenAt,
+        signedPrekey: device.prekeys[0] || null,
+        oneTimePrekeyCount: device._count.oneTimePrekeys,
+        otpFallbackCount: device.otpFallbackCount,
+        isCurrent: req.device?.id === device.id
+      })),
+      count: devices.length
+    });
+
+  } catch (error) {
+    console.error('Device list error:', error);
+    res.status(500).json({ error: 'Failed to list devices' });
+  }
+});
+
+// Remove a device (its prekeys and queued messages go with it)
+router.delete('/:deviceId', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const userId = req.user.id;
+
+    const devices = await prisma.device.findMany({
+      where: { userId },
+      select: { id: true }
+    });
+
+    if (!devices.some(device => device.id === deviceId)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (devices.length === 1) {
+      return res.status(400).json({ error: 'Cannot remove your only device' });
+    }
+
+    // Sessions on the device are removed with it; drop its live sockets too
+    await prisma.device.delete({
+      where: { id: deviceId }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`device_${deviceId}`).disconnectSockets(true);
+    }
+
+    res.json({ message: 'Device removed successfully' });
+
+  } catch (error) {
+    console.error('Device removal error:', error);
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,548 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { formatMessage } = require('../utils/messages');
+const { validateEnvelope, serializeEnvelope } = require('../utils/envelopes');
+const { ensureGroupAdmin } = require('../utils/groups');
+const { validateMute, getMute, setMute } = require('../utils/mutes');
+const { wakeOfflineRecipients } = require('../utils/push');
+const { userDeviceIds, pendingDeliveryLinks } = require('../utils/receipts');
+const { getBlockState, getBlockStates } = require('../utils/contacts');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  checkAttachmentRefs,
+  attachmentLinks
+} = require('../utils/attachments');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_GROUP_MEMBERS = 100;
+
+// Validation middleware
+const validateGroupCreation = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('memberIds')
+    .optional()
+    .isArray({ max: MAX_GROUP_MEMBERS - 1 })
+    .withMessage(`A group can have at most ${MAX_GROUP_MEMBERS} members`),
+  body('memberIds.*')
+    .isUUID()
+    .withMessage('Member IDs must be valid UUIDs')
+];
+
+const validateMemberInvite = [
+  body('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+];
+
+const validateGroupMessage = [
+  // Sender-key encrypted body, fanned out unchanged to every member
+  body('ciphertext')
+    .if(body('ciphertexts').not().exists())
+    .custom(validateEnvelope),
+  // Pairwise-encrypted bodies, one per member
+  body('ciphertexts')
+    .optional()
+    .isArray({ min: 1, max: MAX_GROUP_MEMBERS })
+    .withMessage(`Must provide 1-${MAX_GROUP_MEMBERS} member ciphertexts`),
+  body('ciphertexts.*.recipientId')
+    .isUUID()
+    .withMessage('Recipient ID must be a valid UUID'),
+  body('ciphertexts.*.ciphertext')
+    .custom(validateEnvelope),
+  body('messageType')
+    .optional()
+    .isIn(['REGULAR', 'SENDER_KEY_DISTRIBUTION'])
+    .withMessage('Invalid message type'),
+  body('attachmentIds')
+    .optional()
+    .isArray({ max: MAX_ATTACHMENTS_PER_MESSAGE })
+    .withMessage(`At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`),
+  body('attachmentIds.*')
+    .isUUID()
+    .withMessage('Attachment IDs must be valid UUIDs'),
+  body('replyToId')
+    .optional()
+    .isUUID()
+    .withMessage('Reply target must be a valid UUID')
+];
+
+const getMembership = (groupId, userId) => prisma.groupMember.findUnique({
+  where: { groupId_userId: { groupId, userId } }
+});
+
+const getMemberIds = async (groupId) => {
+  const members = await prisma.groupMember.findMany({
+    where: { groupId },
+    select: { userId: true }
+  });
+  return members.map(member => member.userId);
+};
+
+// Notify every listed member through their personal room
+const emitToUsers = (io, userIds, event, data) => {
+  if (!io) {
+    return;
+  }
+  for (const userId of userIds) {
+    io.to(`user_${userId}`).emit(event, data);
+  }
+};
+
+// Create a group with the current user as admin
+router.post('/', validateGroupCreation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name } = req.body;
+    const creatorId = req.user.id;
+    const memberIds = [...new Set(req.body.memberIds || [])].filter(id => id !== creatorId);
+
+    const existingUsers = await prisma.user.count({
+      where: { id: { in: memberIds } }
+    });
+
+    if (existingUsers !== memberIds.length) {
+      return res.status(404).json({ error: 'One or more members not found' });
+    }
+
+    // Users who blocked the creator look like they don't exist
+    const { blocking, blockedBy } = await getBlockStates(prisma, creatorId, memberIds);
+    if (blockedBy.size > 0) {
+      return res.status(404).json({ error: 'One or more members not found' });
+    }
+    if (blocking.size > 0) {
+      return res.status(403).json({ error: 'You have blocked one or more members' });
+    }
+
+    const group = await prisma.group.create({
+      data: {
+        name,
+        createdById: creatorId,
+        members: {
+          create: [
+            { userId: creatorId, role: 'ADMIN' },
+            ...memberIds.map(userId => ({ userId }))
+          ]
+        }
+      },
+      select: {
+        id: true,
+        name: true,
+        createdAt: true
+      }
+    });
+
+    emitToUsers(req.app.get('io'), memberIds, 'group_member_added', {
+      groupId: group.id,
+      groupName: group.name,
+      userIds: memberIds,
+      addedBy: creatorId
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Group creation error:', error);
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+// List groups the current user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.groupMember.findMany({
+      where: { userId: req.user.id },
+      include: {
+        group: {
+          select: {
+            id: true,
+            name: true,
+            createdAt: true,
+            _count: { select: { members: true } }
+          }
+        }
+      },
+      orderBy: { joinedAt: 'desc' }
+    });
+
+    res.json({
+      groups: memberships.map(membership => ({
+        id: membership.group.id,
+        name: membership.group.name,
+        createdAt: membership.group.createdAt,
+        memberCount: membership.group._count.members,
+        role: membership.role
+      })),
+      count: memberships.length
+    });
+
+  } catch (error) {
+    console.error('Group list error:', error);
+    res.status(500).json({ error: 'Failed to list groups' });
+  }
+});
+
+// List members of a group
+router.get('/:groupId/members', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const members = await prisma.groupMember.findMany({
+      where: { groupId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true
+          }
+        }
+      },
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    res.json({
+      members: members.map(member => ({
+        userId: member.user.id,
+        username: member.user.username,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      count: members.length
+    });
+
+  } catch (error) {
+    console.error('Group members fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch group members' });
+  }
+});
+
+// Invite a user to a group (admins only)
+router.post('/:groupId/members', validateMemberInvite, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupId } = req.params;
+    const { userId } = req.body;
+
+    const membership = await getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (membership.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Only group admins can add members' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true }
+    });
+
+    // Users who blocked the admin look like they don't exist
+    const blockState = user && await getBlockState(prisma, req.user.id, userId);
+    if (!user || blockState === 'blocked') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (blockState === 'blocking') {
+      return res.status(403).json({ error: 'You have blocked this user' });
+    }
+
+    const memberIds = await getMemberIds(groupId);
+
+    if (memberIds.includes(userId)) {
+      return res.status(409).json({ error: 'User is already a member' });
+    }
+
+    if (memberIds.length >= MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    await prisma.groupMember.create({
+      data: { groupId, userId }
+    });
+
+    // Existing members need this to distribute their sender keys to the newcomer
+    emitToUsers(req.app.get('io'), [...memberIds, userId], 'group_member_added', {
+      groupId,
+      userIds: [userId],
+      addedBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member: {
+        userId: user.id,
+        username: user.username,
+        role: 'MEMBER'
+      }
+    });
+
+  } catch (error) {
+    console.error('Group member add error:', error);
+    res.status(500).json({ error: 'Failed to add group member' });
+  }
+});
+
+// Remove a member (admins), or leave the group (any member removing themselves)
+router.delete('/:groupId/members/:userId', async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const currentUserId = req.user.id;
+
+    const membership = await getMembership(groupId, currentUserId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (userId !== currentUserId && membership.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Only group admins can remove members' });
+    }
+
+    const memberIds = await getMemberIds(groupId);
+    if (!memberIds.includes(userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.groupMember.delete({
+        where: { groupId_userId: { groupId, userId } }
+      });
+
+      // Never leave a group without an admin
+      await ensureGroupAdmin(tx, groupId);
+    });
+
+    // Remaining members must rotate their sender keys
+    emitToUsers(req.app.get('io'), memberIds, 'group_member_removed', {
+      groupId,
+      userId,
+      removedBy: currentUserId
+    });
+
+    res.json({ message: 'Member removed successfully' });
+
+  } catch (error) {
+    console.error('Group member removal error:', error);
+    res.status(500).json({ error: 'Failed to remove group member' });
+  }
+});
+
+// Send an encrypted message to every other member of a group
+router.post('/:groupId/messages', validateGroupMessage, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupId } = req.params;
+    const {
+      ciphertext,
+      ciphertexts,
+      messageType = 'REGULAR',
+      attachmentIds = [],
+      replyToId = null
+    } = req.body;
+    const senderId = req.user.id;
+
+    const membership = await getMembership(groupId, senderId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (messageType === 'SENDER_KEY_DISTRIBUTION' && !ciphertexts) {
+      return res.status(400).json({ error: 'Sender key distribution must be encrypted per member' });
+    }
+
+    const attachmentError = await checkAttachmentRefs(prisma, senderId, attachmentIds);
+    if (attachmentError) {
+      return res.status(400).json({ error: attachmentError });
+    }
+
+    // Replies point at a copy the sender sent or received in this group
+    if (replyToId) {
+      const replyTarget = await prisma.message.findFirst({
+        where: {
+          id: replyToId,
+          groupId,
+          OR: [{ senderId }, { recipientId: senderId }]
+        },
+        select: { id: true }
+      });
+      if (!replyTarget) {
+        return res.status(400).json({ error: 'Reply target not found in this group' });
+      }
+    }
+
+    const recipientIds = (await getMemberIds(groupId)).filter(id => id !== senderId);
+
+    let entries;
+    if (ciphertexts) {
+      // The sender must address exactly the current members
+      const providedIds = ciphertexts.map(entry => entry.recipientId);
+
+      if (new Set(providedIds).size !== providedIds.length) {
+        return res.status(400).json({ error: 'Duplicate member ciphertexts' });
+      }
+
+      const missingMembers = recipientIds.filter(id => !providedIds.includes(id));
+      const extraMembers = providedIds.filter(id => !recipientIds.includes(id));
+
+      if (missingMembers.length > 0 || extraMembers.length > 0) {
+        return res.status(409).json({
+          error: 'Group member list mismatch',
+          missingMembers,
+          extraMembers
+        });
+      }
+
+      entries = ciphertexts;
+    } else {
+      entries = recipientIds.map(recipientId => ({ recipientId, ciphertext }));
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Group has no other members' });
+    }
+
+    // Members who blocked the sender get no copy
+    const { blockedBy } = await getBlockStates(prisma, senderId, recipientIds);
+    entries = entries.filter(entry => !blockedBy.has(entry.recipientId));
+
+    if (entries.length === 0) {
+      return res.status(201).json({
+        message: 'Message sent successfully',
+        messages: [],
+        delivered: false,
+        createdAt: new Date()
+      });
+    }
+
+    // One row per recipient so each copy goes through the offline queue,
+    // pending on each of the member's devices
+    const devicesByUser = await userDeviceIds(prisma, entries.map(entry => entry.recipientId));
+    const messages = await prisma.$transaction(entries.map(entry => prisma.message.create({
+      data: {
+        senderId,
+        recipientId: entry.recipientId,
+        groupId,
+        ciphertext: serializeEnvelope(entry.ciphertext),
+        messageType,
+        replyToId,
+        attachments: attachmentLinks(attachmentIds),
+        pendingDeliveries: pendingDeliveryLinks(devicesByUser.get(entry.recipientId))
+      },
+      include: {
+        sender: {
+          select: {
+            id: true,
+            username: true
+          }
+        },
+        attachments: { select: { attachmentId: true } }
+      }
+    })));
+
+    const io = req.app.get('io');
+    if (io) {
+      for (const message of messages) {
+        io.to(`user_${message.recipientId}`).emit('new_message', formatMessage(message));
+      }
+    }
+    wakeOfflineRecipients(prisma, io, messages);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      messages: messages.map(message => ({
+        recipientId: message.recipientId,
+        messageId: message.id
+      })),
+      delivered: false,
+      createdAt: messages[0].createdAt
+    });
+
+  } catch (error) {
+    console.error('Group message send error:', error);
+    res.status(500).json({ error: 'Failed to send group message' });
+  }
+});
+
+// Get the current user's mute setting for a group
+router.get('/:groupId/mute', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json(await getMute(prisma, req.user.id, { groupId }));
+
+  } catch (error) {
+    console.error('Group mute fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mute setting' });
+  }
+});
+
+// Mute or unmute push notifications for a group
+router.put('/:groupId/mute', validateMute, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const mute = await setMute(prisma, req.app.get('io'), req.user.id, { groupId }, req.body);
+
+    res.json({
+      message: mute.muted ? 'Group muted' : 'Group unmuted',
+      ...mute
+    });
+
+  } catch (error) {
+    console.error('Group mute update error:', error);
+    res.status(500).json({ error: 'Failed to update mute setting' });
+  }
+});
+
+module.exports = router;
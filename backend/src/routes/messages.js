@@ -1,58 +1,113 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult, query } = require('express-validator');
+const { resolveDevice } = require('../utils/devices');
+const {
+  MAX_DISAPPEARING_SECONDS,
+  formatMessage,
+  conversationPair,
+  notExpired,
+  deviceCopies,
+  encodeCursor,
+  validateCursor,
+  afterCursor,
+  beforeCursor,
+  cursorOrder
+} = require('../utils/messages');
+const { validateMessage, sendDirectMessage } = require('../utils/directMessages');
+const {
+  validateEdit,
+  validateDelete,
+  editMessages,
+  deleteMessages
+} = require('../utils/messageRevisions');
+const {
+  validateReaction,
+  reactionSummary,
+  findParticipantMessage,
+  setReaction,
+  removeReaction
+} = require('../utils/reactions');
+const {
+  RECEIPT_BATCH_MAX,
+  pendingForDevice,
+  markDelivered,
+  markRead,
+  upToMessage,
+  notifyReceipts
+} = require('../utils/receipts');
+const { issueSenderCertificate, getServerPublicKey } = require('../utils/sealedSender');
+const { validateMute, getMute, setMute } = require('../utils/mutes');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Validation middleware
-const validateMessage = [
-  body('recipientId')
-    .isUUID()
-    .withMessage('Recipient ID must be a valid UUID'),
-  body('ciphertext')
-    .custom((value) => {
-      // Accept either base64 string (legacy) or JSON object (Signal Protocol)
-      if (typeof value === 'string') {
-        // Legacy format - check if it's valid base64
-        try {
-          Buffer.from(value, 'base64');
-          return true;
-        } catch (e) {
-          // Try parsing as JSON for Signal Protocol format
-          try {
-            const parsed = JSON.parse(value);
-            if (parsed.ciphertext && parsed.header) {
-              return true;
-            }
-          } catch (e) {
-            // Not valid JSON either
-          }
-        }
-      } else if (typeof value === 'object' && value.ciphertext && value.header) {
-        // Direct object format
-        return true;
-      }
-      throw new Error('Ciphertext must be valid base64 or Signal Protocol format');
-    }),
-  body('messageType')
-    .optional()
-    .isIn(['REGULAR', 'KEY_EXCHANGE', 'PREKEY_REQUEST'])
-    .withMessage('Invalid message type')
-];
+const MAX_SYNC_LIMIT = 500;
 
+// Validation middleware
 const validateMessageQuery = [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  query('offset')
+  query('cursor')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Offset must be non-negative')
+    .custom(validateCursor)
+];
+
+const validateSyncQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SYNC_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_SYNC_LIMIT}`),
+  query('since')
+    .optional()
+    .custom(validateCursor)
+];
+
+const validateDeliveryConfirmation = [
+  body('messageIds')
+    .isArray({ min: 1, max: RECEIPT_BATCH_MAX })
+    .withMessage(`Must provide 1-${RECEIPT_BATCH_MAX} message IDs`),
+  body('messageIds.*')
+    .isUUID()
+    .withMessage('Message IDs must be valid UUIDs')
+];
+
+const validateReadUpTo = [
+  body('upToMessageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
 ];
 
-// Send encrypted message
+const messageInclude = {
+  sender: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  attachments: { select: { attachmentId: true } }
+};
+
+// Rows are fetched with take: limit + 1 to learn whether another page exists
+const toPage = (rows, limit, fallbackCursor = null) => {
+  const page = rows.slice(0, limit);
+  return {
+    page,
+    hasMore: rows.length > limit,
+    nextCursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : fallbackCursor
+  };
+};
+
+const validateDisappearingTimer = [
+  body('seconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: MAX_DISAPPEARING_SECONDS })
+    .withMessage(`Timer must be between 0 and ${MAX_DISAPPEARING_SECONDS} seconds`)
+];
+
+// Send encrypted message (one ciphertext, or one per recipient device)
 router.post('/send', validateMessage, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -63,76 +118,105 @@ router.post('/send', validateMessage, async (req, res) => {
       });
     }
 
-    const { recipientId, ciphertext, messageType = 'REGULAR' } = req.body;
-    const senderId = req.user.id;
+    const { status, body: result } = await sendDirectMessage(
+      prisma,
+      req.app.get('io'),
+      req.user.id,
+      req.body
+    );
 
-    // Verify recipient exists
-    const recipient = await prisma.user.findUnique({
-      where: { id: recipientId },
-      select: { id: true, username: true }
-    });
+    res.status(status).json(result);
 
-    if (!recipient) {
-      return res.status(404).json({ error: 'Recipient not found' });
-    }
+  } catch (error) {
+    console.error('Message send error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
 
-    // Prevent sending to self
-    if (senderId === recipientId) {
-      return res.status(400).json({ error: 'Cannot send message to yourself' });
+// Replace sent messages with encrypted edits, one entry per copy the send
+// returned (`edits: [{ messageId, ciphertext }]`)
+router.post('/edit', validateEdit, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
-    // Create message
-    const message = await prisma.message.create({
-      data: {
-        senderId,
-        recipientId,
-        ciphertext,
-        messageType
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true
-          }
-        },
-        recipient: {
-          select: {
-            id: true,
-            username: true
-          }
-        }
-      }
-    });
+    const { status, body: result } = await editMessages(
+      prisma,
+      req.app.get('io'),
+      req.user.id,
+      req.body.edits
+    );
 
-    // Emit message via Socket.IO (if recipient is online)
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user_${recipientId}`).emit('new_message', {
-        id: message.id,
-        senderId: message.senderId,
-        senderUsername: message.sender.username,
-        recipientId: message.recipientId,
-        ciphertext: message.ciphertext,
-        messageType: message.messageType,
-        createdAt: message.createdAt
+    res.status(status).json(result);
+
+  } catch (error) {
+    console.error('Message edit error:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Delete sent messages for everyone (`messageIds`, every copy to remove)
+router.post('/delete', validateDelete, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      messageId: message.id,
-      delivered: false, // Will be updated when recipient comes online
-      createdAt: message.createdAt
+    const { status, body: result } = await deleteMessages(
+      prisma,
+      req.app.get('io'),
+      req.user.id,
+      req.body.messageIds
+    );
+
+    res.status(status).json(result);
+
+  } catch (error) {
+    console.error('Message delete error:', error);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+});
+
+// Server-signed certificate of the caller's identity, for senders to seal
+// inside sealed-sender envelopes
+router.get('/sender-certificate', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, username: true, identityPubkey: true }
     });
 
+    res.json(issueSenderCertificate(user, req.device));
+
   } catch (error) {
-    console.error('Message send error:', error);
-    res.status(500).json({ error: 'Failed to send message' });
+    console.error('Sender certificate error:', error);
+    res.status(500).json({ error: 'Failed to issue sender certificate' });
   }
 });
 
-// Get offline messages for current user
+// Public key recipients verify sender certificates with
+router.get('/sender-certificate/key', (req, res) => {
+  try {
+    res.json({ algorithm: 'Ed25519', publicKey: getServerPublicKey() });
+  } catch (error) {
+    console.error('Sender certificate key error:', error);
+    res.status(500).json({ error: 'Failed to get sender certificate key' });
+  }
+});
+
+// Get undelivered messages for the current device, plus delivered ones
+// that were edited or deleted since. Pages with `cursor`; nothing is marked
+// delivered until the client confirms via POST /delivered, so later pages
+// never shift under the client.
 router.get('/offline', validateMessageQuery, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,63 +228,120 @@ router.get('/offline', validateMessageQuery, async (req, res) => {
     }
 
     const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
     const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const { cursor } = req.query;
 
     const messages = await prisma.message.findMany({
       where: {
         recipientId: userId,
-        delivered: false
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true
-          }
-        }
+        AND: [
+          pendingForDevice(device),
+          notExpired(),
+          ...(cursor ? [afterCursor(cursor)] : [])
+        ]
       },
-      orderBy: {
-        createdAt: 'asc'
+      include: messageInclude,
+      orderBy: cursorOrder('asc'),
+      take: limit + 1
+    });
+
+    const { page, hasMore, nextCursor } = toPage(messages, limit, cursor);
+
+    res.json({
+      messages: page.map(formatMessage),
+      count: page.length,
+      hasMore,
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Offline messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch offline messages' });
+  }
+});
+
+// Everything addressed to the current device after the `since` cursor,
+// across all conversations and groups, delivered or not. Clients store
+// nextCursor and resume from it after reconnecting.
+router.get('/sync', validateSyncQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
+    const limit = parseInt(req.query.limit) || 100;
+    const { since } = req.query;
+
+    const messages = await prisma.message.findMany({
+      where: {
+        recipientId: userId,
+        AND: [
+          deviceCopies(device),
+          notExpired(),
+          ...(since ? [afterCursor(since)] : [])
+        ]
       },
-      take: limit,
-      skip: offset
+      include: messageInclude,
+      orderBy: cursorOrder('asc'),
+      take: limit + 1
+    });
+
+    const { page, hasMore, nextCursor } = toPage(messages, limit, since);
+
+    res.json({
+      messages: page.map(formatMessage),
+      count: page.length,
+      hasMore,
+      nextCursor
     });
 
-    // Mark messages as delivered
-    if (messages.length > 0) {
-      const messageIds = messages.map(msg => msg.id);
-      await prisma.message.updateMany({
-        where: {
-          id: { in: messageIds }
-        },
-        data: {
-          delivered: true
-        }
+  } catch (error) {
+    console.error('Message sync error:', error);
+    res.status(500).json({ error: 'Failed to sync messages' });
+  }
+});
+
+// Confirm the current device has stored these messages
+router.post('/delivered', validateDeliveryConfirmation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
       });
     }
 
+    const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
+
+    // Unknown IDs, other devices' copies and repeats are ignored
+    const messages = await markDelivered(prisma, userId, device, {
+      id: { in: req.body.messageIds }
+    });
+
+    notifyReceipts(req.app.get('io'), 'DELIVERED', userId, device.id, messages);
+
     res.json({
-      messages: messages.map(msg => ({
-        id: msg.id,
-        senderId: msg.senderId,
-        senderUsername: msg.sender.username,
-        recipientId: msg.recipientId,
-        ciphertext: msg.ciphertext,
-        messageType: msg.messageType,
-        createdAt: msg.createdAt
-      })),
-      count: messages.length,
-      hasMore: messages.length === limit
+      message: 'Delivery confirmed',
+      delivered: messages.map(message => message.id)
     });
 
   } catch (error) {
-    console.error('Offline messages fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch offline messages' });
+    console.error('Delivery confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm delivery' });
   }
 });
 
-// Get conversation history with a specific user
+// Get conversation history with a specific user, newest page first; pass
+// nextCursor back as `cursor` for older messages
 router.get('/conversation/:userId', validateMessageQuery, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -213,8 +354,9 @@ router.get('/conversation/:userId', validateMessageQuery, async (req, res) => {
 
     const { userId: otherUserId } = req.params;
     const currentUserId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, currentUserId);
     const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const { cursor } = req.query;
 
     // Verify other user exists
     const otherUser = await prisma.user.findUnique({
@@ -228,40 +370,60 @@ router.get('/conversation/:userId', validateMessageQuery, async (req, res) => {
 
     const messages = await prisma.message.findMany({
       where: {
+        groupId: null,
+        AND: [
+          notExpired(),
+          ...(cursor ? [beforeCursor(cursor)] : [])
+        ],
         OR: [
-          { senderId: currentUserId, recipientId: otherUserId },
-          { senderId: otherUserId, recipientId: currentUserId }
+          // One row per send, not one per recipient device
+          { senderId: currentUserId, recipientId: otherUserId, primaryCopy: true },
+          {
+            senderId: otherUserId,
+            recipientId: currentUserId,
+            // Only copies this device can decrypt
+            OR: [
+              { recipientDeviceId: null },
+              { recipientDeviceId: device.id }
+            ]
+          }
         ]
       },
       include: {
-        sender: {
-          select: {
-            id: true,
-            username: true
-          }
-        }
+        ...messageInclude,
+        _count: { select: { reactions: true } }
       },
-      orderBy: {
-        createdAt: 'desc'
-      },
-      take: limit,
-      skip: offset
+      orderBy: cursorOrder('desc'),
+      take: limit + 1
     });
 
+    const { page, hasMore, nextCursor } = toPage(messages, limit, cursor);
+
     res.json({
-      messages: messages.map(msg => ({
+      messages: page.map(msg => ({
         id: msg.id,
         senderId: msg.senderId,
         senderUsername: msg.sender.username,
         recipientId: msg.recipientId,
+        replyToId: msg.replyToId,
         ciphertext: msg.ciphertext,
         messageType: msg.messageType,
+        status: msg.status,
+        deliveredAt: msg.deliveredAt,
+        readAt: msg.readAt,
+        attachmentIds: msg.attachments.map(link => link.attachmentId),
+        editCount: msg.editCount,
+        editedAt: msg.editedAt,
+        deletedAt: msg.deletedAt,
+        reactionCount: msg._count.reactions,
         isFromMe: msg.senderId === currentUserId,
-        createdAt: msg.createdAt
+        createdAt: msg.createdAt,
+        expiresAt: msg.expiresAt
       })).reverse(), // Return in chronological order
       otherUser,
-      count: messages.length,
-      hasMore: messages.length === limit
+      count: page.length,
+      hasMore,
+      nextCursor
     });
 
   } catch (error) {
@@ -270,6 +432,204 @@ router.get('/conversation/:userId', validateMessageQuery, async (req, res) => {
   }
 });
 
+// Get the disappearing-message timer for a conversation
+router.get('/conversation/:userId/timer', async (req, res) => {
+  try {
+    const setting = await prisma.conversationSetting.findUnique({
+      where: { userAId_userBId: conversationPair(req.user.id, req.params.userId) }
+    });
+
+    res.json({
+      disappearingSeconds: setting?.disappearingSeconds || null,
+      updatedBy: setting?.updatedById || null,
+      updatedAt: setting?.updatedAt || null
+    });
+
+  } catch (error) {
+    console.error('Disappearing timer fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch disappearing timer' });
+  }
+});
+
+// Set the disappearing-message timer for a conversation (either party may;
+// 0 or null turns it off). Applies to messages sent from now on.
+router.put('/conversation/:userId/timer', validateDisappearingTimer, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { userId: otherUserId } = req.params;
+    const currentUserId = req.user.id;
+    const disappearingSeconds = parseInt(req.body.seconds) || null;
+
+    if (otherUserId === currentUserId) {
+      return res.status(400).json({ error: 'Cannot set a timer on a conversation with yourself' });
+    }
+
+    const otherUser = await prisma.user.findUnique({
+      where: { id: otherUserId },
+      select: { id: true }
+    });
+
+    if (!otherUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const pair = conversationPair(currentUserId, otherUserId);
+    const setting = await prisma.conversationSetting.upsert({
+      where: { userAId_userBId: pair },
+      update: { disappearingSeconds, updatedById: currentUserId },
+      create: { ...pair, disappearingSeconds, updatedById: currentUserId }
+    });
+
+    // Both parties show the change in the conversation
+    const io = req.app.get('io');
+    if (io) {
+      for (const [userId, peerId] of [[currentUserId, otherUserId], [otherUserId, currentUserId]]) {
+        io.to(`user_${userId}`).emit('disappearing_timer_changed', {
+          otherUserId: peerId,
+          disappearingSeconds,
+          updatedBy: currentUserId,
+          updatedAt: setting.updatedAt
+        });
+      }
+    }
+
+    res.json({
+      message: 'Disappearing timer updated',
+      disappearingSeconds,
+      updatedAt: setting.updatedAt
+    });
+
+  } catch (error) {
+    console.error('Disappearing timer update error:', error);
+    res.status(500).json({ error: 'Failed to update disappearing timer' });
+  }
+});
+
+// Get the current user's mute setting for a 1:1 conversation
+router.get('/conversation/:userId/mute', async (req, res) => {
+  try {
+    res.json(await getMute(prisma, req.user.id, { peerId: req.params.userId }));
+
+  } catch (error) {
+    console.error('Conversation mute fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mute setting' });
+  }
+});
+
+// Mute or unmute push notifications for a 1:1 conversation. Only the
+// current user's own notifications change.
+router.put('/conversation/:userId/mute', validateMute, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId: otherUserId } = req.params;
+    const currentUserId = req.user.id;
+
+    if (otherUserId === currentUserId) {
+      return res.status(400).json({ error: 'Cannot mute a conversation with yourself' });
+    }
+
+    const otherUser = await prisma.user.findUnique({
+      where: { id: otherUserId },
+      select: { id: true }
+    });
+
+    if (!otherUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const mute = await setMute(prisma, req.app.get('io'), currentUserId, { peerId: otherUserId }, req.body);
+
+    res.json({
+      message: mute.muted ? 'Conversation muted' : 'Conversation unmuted',
+      ...mute
+    });
+
+  } catch (error) {
+    console.error('Conversation mute update error:', error);
+    res.status(500).json({ error: 'Failed to update mute setting' });
+  }
+});
+
+// Users who turned read receipts off only ever report delivery
+const readReceiptsEnabled = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { readReceipts: true }
+  });
+  return Boolean(user?.readReceipts);
+};
+
+// Mark messages read, or only delivered when read receipts are off.
+// Resolves to the status reported and the messages that changed.
+const recordRead = async (req, where) => {
+  const userId = req.user.id;
+
+  if (await readReceiptsEnabled(userId)) {
+    return { status: 'READ', messages: await markRead(prisma, userId, where) };
+  }
+
+  const device = req.device || await resolveDevice(prisma, userId);
+  return { status: 'DELIVERED', messages: await markDelivered(prisma, userId, device, where) };
+};
+
+// Mark every message in a 1:1 conversation up to and including
+// `upToMessageId` as read; the sender gets one coalesced receipt
+router.post('/conversation/:userId/read', validateReadUpTo, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { userId: otherUserId } = req.params;
+    const currentUserId = req.user.id;
+
+    const upTo = await prisma.message.findUnique({
+      where: { id: req.body.upToMessageId }
+    });
+
+    if (!upTo || upTo.groupId ||
+        upTo.senderId !== otherUserId || upTo.recipientId !== currentUserId) {
+      return res.status(404).json({ error: 'Message not found in this conversation' });
+    }
+
+    const { status, messages } = await recordRead(req, {
+      senderId: otherUserId,
+      groupId: null,
+      AND: [upToMessage(upTo)]
+    });
+
+    notifyReceipts(req.app.get('io'), status, currentUserId, req.device?.id || null, messages);
+
+    res.json({
+      message: 'Conversation marked as read',
+      status,
+      messageIds: messages.map(message => message.id)
+    });
+
+  } catch (error) {
+    console.error('Conversation read error:', error);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
 // Acknowledge message receipt (for read receipts)
 router.patch('/:messageId/acknowledge', async (req, res) => {
   try {
@@ -289,26 +649,84 @@ router.patch('/:messageId/acknowledge', async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to acknowledge this message' });
     }
 
-    await prisma.message.update({
-      where: { id: messageId },
-      data: { acknowledged: true }
+    const { status, messages } = await recordRead(req, { id: messageId });
+
+    notifyReceipts(req.app.get('io'), status, userId, req.device?.id || null, messages);
+
+    res.json({ message: 'Message acknowledged successfully', status });
+
+  } catch (error) {
+    console.error('Message acknowledge error:', error);
+    res.status(500).json({ error: 'Failed to acknowledge message' });
+  }
+});
+
+// Reactions left on a message, for its sender and recipient
+router.get('/:messageId/reactions', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const { error } = await findParticipantMessage(prisma, req.user.id, messageId);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const reactions = await prisma.reaction.findMany({
+      where: { messageId },
+      select: reactionSummary,
+      orderBy: { createdAt: 'asc' }
     });
 
-    // Notify sender via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user_${message.senderId}`).emit('message_acknowledged', {
-        messageId,
-        acknowledgedBy: userId,
-        acknowledgedAt: new Date()
+    res.json({ messageId, reactions, count: reactions.length });
+
+  } catch (error) {
+    console.error('Reactions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch reactions' });
+  }
+});
+
+// Add or replace the caller's reaction (`ciphertext`, an encrypted envelope)
+router.put('/:messageId/reactions', validateReaction, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    res.json({ message: 'Message acknowledged successfully' });
+    const { status, body: result } = await setReaction(
+      prisma,
+      req.app.get('io'),
+      req.user.id,
+      req.params.messageId,
+      req.body.ciphertext
+    );
+
+    res.status(status).json(result);
 
   } catch (error) {
-    console.error('Message acknowledge error:', error);
-    res.status(500).json({ error: 'Failed to acknowledge message' });
+    console.error('Reaction save error:', error);
+    res.status(500).json({ error: 'Failed to save reaction' });
+  }
+});
+
+// Remove the caller's reaction
+router.delete('/:messageId/reactions', async (req, res) => {
+  try {
+    const { status, body: result } = await removeReaction(
+      prisma,
+      req.app.get('io'),
+      req.user.id,
+      req.params.messageId
+    );
+
+    res.status(status).json(result);
+
+  } catch (error) {
+    console.error('Reaction removal error:', error);
+    res.status(500).json({ error: 'Failed to remove reaction' });
   }
 });
 
@@ -323,7 +741,7 @@ router.get('/stats', async (req, res) => {
       prisma.message.count({ 
         where: { 
           recipientId: userId, 
-          delivered: false 
+          status: 'SENT' 
         } 
       })
     ]);
@@ -1,12 +1,22 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
+const { resolveDevice } = require('../utils/devices');
+const { getBlockState } = require('../utils/contacts');
+const {
+  OTP_LOW_THRESHOLD,
+  checkSignedPrekey,
+  currentSignedPrekey,
+  validSignedPrekeys,
+  rotateSignedPrekey,
+  claimOneTimePrekey
+} = require('../utils/prekeys');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // Validation middleware
-const validatePrekeyUpload = [
+const validateSignedPrekey = [
   body('signedPrekey')
     .isBase64()
     .withMessage('Signed prekey must be valid base64'),
@@ -15,7 +25,11 @@ const validatePrekeyUpload = [
     .withMessage('Prekey signature must be valid base64'),
   body('keyId')
     .isInt({ min: 0 })
-    .withMessage('Key ID must be a non-negative integer'),
+    .withMessage('Key ID must be a non-negative integer')
+];
+
+const validatePrekeyUpload = [
+  ...validateSignedPrekey,
   body('oneTimePrekeys')
     .isArray({ min: 1, max: 100 })
     .withMessage('Must provide 1-100 one-time prekeys'),
@@ -37,32 +51,42 @@ router.post('/upload', validatePrekeyUpload, async (req, res) => {
 
     const { signedPrekey, prekeySignature, keyId, oneTimePrekeys } = req.body;
     const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
+
+    const problems = checkSignedPrekey(req.body, device.identityPubkey);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid signed prekey bundle',
+        details: problems
+      });
+    }
+
+    const deviceId = device.id;
 
     await prisma.$transaction(async (tx) => {
-      // Upsert signed prekey (replace existing one)
-      await tx.prekey.upsert({
-        where: { userId },
-        update: {
-          signedPrekey,
-          prekeySignature,
-          keyId
-        },
-        create: {
-          userId,
-          signedPrekey,
-          prekeySignature,
-          keyId
-        }
+      // A re-upload under the same key ID replaces that key outright
+      await tx.prekey.deleteMany({
+        where: { deviceId, keyId }
       });
 
-      // Delete existing one-time prekeys for this user
+      // New signed prekey becomes current; the previous one enters its grace window
+      await rotateSignedPrekey(tx, {
+        userId,
+        deviceId,
+        signedPrekey,
+        prekeySignature,
+        keyId
+      });
+
+      // Delete existing one-time prekeys for this device
       await tx.oneTimePrekey.deleteMany({
-        where: { userId }
+        where: { deviceId }
       });
 
       // Insert new one-time prekeys
       const prekeyData = oneTimePrekeys.map((pubkey, index) => ({
         userId,
+        deviceId,
         pubkey,
         keyId: index
       }));
@@ -74,6 +98,7 @@ router.post('/upload', validatePrekeyUpload, async (req, res) => {
 
     res.json({
       message: 'Prekeys uploaded successfully',
+      deviceId,
       signedPrekeyId: keyId,
       oneTimePrekeyCount: oneTimePrekeys.length
     });
@@ -84,10 +109,105 @@ router.post('/upload', validatePrekeyUpload, async (req, res) => {
   }
 });
 
-// Get prekey bundle for a user (for initiating conversations)
+// Rotate the signed prekey only, keeping the previous one valid for the
+// grace period and leaving unused one-time prekeys in place
+router.post('/signed/rotate', validateSignedPrekey, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { signedPrekey, prekeySignature, keyId } = req.body;
+    const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
+    const deviceId = device.id;
+
+    const problems = checkSignedPrekey(req.body, device.identityPubkey);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid signed prekey bundle',
+        details: problems
+      });
+    }
+
+    const existingKey = await prisma.prekey.findUnique({
+      where: { deviceId_keyId: { deviceId, keyId } }
+    });
+
+    if (existingKey) {
+      return res.status(409).json({ error: 'Signed prekey ID already used for this device' });
+    }
+
+    let rotated;
+    try {
+      rotated = await prisma.$transaction(async (tx) => rotateSignedPrekey(tx, {
+        userId,
+        deviceId,
+        signedPrekey,
+        prekeySignature,
+        keyId
+      }));
+    } catch (error) {
+      // A concurrent rotation claimed the same key ID first
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'Signed prekey ID already used for this device' });
+      }
+      throw error;
+    }
+
+    res.json({
+      message: 'Signed prekey rotated successfully',
+      deviceId,
+      signedPrekeyId: rotated.keyId,
+      createdAt: rotated.createdAt
+    });
+
+  } catch (error) {
+    console.error('Signed prekey rotation error:', error);
+    res.status(500).json({ error: 'Failed to rotate signed prekey' });
+  }
+});
+
+// Signed prekey history for the current device, so the client knows which
+// private keys it still needs to keep
+router.get('/signed/mine', async (req, res) => {
+  try {
+    const device = req.device || await resolveDevice(prisma, req.user.id);
+    const now = new Date();
+
+    const prekeys = await prisma.prekey.findMany({
+      where: { deviceId: device.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      deviceId: device.id,
+      signedPrekeys: prekeys.map(prekey => ({
+        keyId: prekey.keyId,
+        createdAt: prekey.createdAt,
+        supersededAt: prekey.supersededAt,
+        expiresAt: prekey.expiresAt,
+        status: !prekey.supersededAt
+          ? 'current'
+          : prekey.expiresAt > now ? 'grace' : 'expired'
+      }))
+    });
+
+  } catch (error) {
+    console.error('Signed prekey history error:', error);
+    res.status(500).json({ error: 'Failed to get signed prekey history' });
+  }
+});
+
+// Get prekey bundles for every device of a user (for initiating conversations)
 router.get('/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
+    const { deviceId } = req.query;
 
     // Check if target user exists
     const targetUser = await prisma.user.findUnique({
@@ -99,49 +219,90 @@ router.get('/:userId', async (req, res) => {
       }
     });
 
-    if (!targetUser) {
+    // Users who blocked the requester look like they don't exist
+    const blockState = targetUser && await getBlockState(prisma, req.user.id, userId);
+    if (!targetUser || blockState === 'blocked') {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get signed prekey
-    const signedPrekey = await prisma.prekey.findUnique({
-      where: { userId }
+    if (blockState === 'blocking') {
+      return res.status(403).json({ error: 'You have blocked this user' });
+    }
+
+    // Only devices that have published a signed prekey can be reached
+    const published = await prisma.device.findMany({
+      where: {
+        userId,
+        prekeys: { some: currentSignedPrekey },
+        ...(deviceId && { id: deviceId })
+      },
+      include: {
+        prekeys: { where: currentSignedPrekey }
+      },
+      orderBy: { createdAt: 'asc' }
     });
 
-    if (!signedPrekey) {
+    // Keys signed before XEdDSA (an HMAC) are withheld until the owner
+    // re-signs them, since no peer would accept them
+    const devices = published.filter(device =>
+      checkSignedPrekey(device.prekeys[0], device.identityPubkey).length === 0
+    );
+
+    if (devices.length === 0) {
       return res.status(404).json({ 
         error: 'No prekeys available for this user' 
       });
     }
 
-    // Get and consume one one-time prekey
-    let oneTimePrekey = null;
-    const availableOTP = await prisma.oneTimePrekey.findFirst({
-      where: { userId },
-      orderBy: { createdAt: 'asc' }
-    });
+    const io = req.app.get('io');
+    const bundles = [];
+    for (const device of devices) {
+      // Claim and consume one one-time prekey per device
+      const oneTimePrekey = await claimOneTimePrekey(prisma, device.id);
+
+      if (!oneTimePrekey) {
+        // Session will fall back to 3-DH without a one-time prekey
+        await prisma.device.update({
+          where: { id: device.id },
+          data: { otpFallbackCount: { increment: 1 } }
+        });
+      }
+
+      // Tell the owner to replenish before the pool runs dry
+      const remaining = await prisma.oneTimePrekey.count({
+        where: { deviceId: device.id }
+      });
 
-    if (availableOTP) {
-      // Remove the one-time prekey after fetching it
-      await prisma.oneTimePrekey.delete({
-        where: { id: availableOTP.id }
+      if (remaining < OTP_LOW_THRESHOLD && io) {
+        io.to(`user_${userId}`).emit('prekeys_low', {
+          deviceId: device.id,
+          remaining,
+          threshold: OTP_LOW_THRESHOLD
+        });
+      }
+
+      const [signedPrekey] = device.prekeys;
+      bundles.push({
+        deviceId: device.id,
+        identityPubkey: device.identityPubkey,
+        signedPrekey: {
+          keyId: signedPrekey.keyId,
+          pubkey: signedPrekey.signedPrekey,
+          signature: signedPrekey.prekeySignature
+        },
+        oneTimePrekey
       });
-      oneTimePrekey = {
-        keyId: availableOTP.keyId,
-        pubkey: availableOTP.pubkey
-      };
     }
 
+    // Top-level signedPrekey/oneTimePrekey mirror the first device's bundle
+    // for clients that predate multi-device support
     res.json({
       userId: targetUser.id,
       username: targetUser.username,
       identityPubkey: targetUser.identityPubkey,
-      signedPrekey: {
-        keyId: signedPrekey.keyId,
-        pubkey: signedPrekey.signedPrekey,
-        signature: signedPrekey.prekeySignature
-      },
-      oneTimePrekey
+      signedPrekey: bundles[0].signedPrekey,
+      oneTimePrekey: bundles[0].oneTimePrekey,
+      devices: bundles
     });
 
   } catch (error) {
@@ -153,16 +314,30 @@ router.get('/:userId', async (req, res) => {
 // Get prekey count for current user (to know when to upload more)
 router.get('/count/mine', async (req, res) => {
   try {
-    const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, req.user.id);
+    const deviceId = device.id;
 
-    const [signedPrekeyCount, oneTimePrekeyCount] = await Promise.all([
-      prisma.prekey.count({ where: { userId } }),
-      prisma.oneTimePrekey.count({ where: { userId } })
+    const [signedPrekeyCount, oneTimePrekeyCount, current] = await Promise.all([
+      prisma.prekey.count({ where: { deviceId, ...validSignedPrekeys() } }),
+      prisma.oneTimePrekey.count({ where: { deviceId } }),
+      prisma.prekey.findFirst({ where: { deviceId, ...currentSignedPrekey } })
     ]);
 
     res.json({
+      deviceId,
       signedPrekeys: signedPrekeyCount,
-      oneTimePrekeys: oneTimePrekeyCount
+      oneTimePrekeys: oneTimePrekeyCount,
+      lowThreshold: OTP_LOW_THRESHOLD,
+      // Bundles handed out without a one-time prekey (3-DH fallback)
+      otpFallbackCount: device.otpFallbackCount,
+      // Age of the current signed prekey, so clients know when to rotate,
+      // and whether it verifies; clients re-sign keys that do not
+      currentSignedPrekey: current && {
+        keyId: current.keyId,
+        createdAt: current.createdAt,
+        ageSeconds: Math.floor((Date.now() - current.createdAt.getTime()) / 1000),
+        verified: checkSignedPrekey(current, device.identityPubkey).length === 0
+      }
     });
 
   } catch (error) {
@@ -192,9 +367,12 @@ router.post('/otp/bulk', async (req, res) => {
       }
     }
 
-    // Get the current highest keyId for this user
+    const device = req.device || await resolveDevice(prisma, userId);
+    const deviceId = device.id;
+
+    // Get the current highest keyId for this device
     const lastKey = await prisma.oneTimePrekey.findFirst({
-      where: { userId },
+      where: { deviceId },
       orderBy: { keyId: 'desc' }
     });
 
@@ -203,6 +381,7 @@ router.post('/otp/bulk', async (req, res) => {
     // Insert new one-time prekeys
     const prekeyData = oneTimePrekeys.map((pubkey, index) => ({
       userId,
+      deviceId,
       pubkey,
       keyId: startKeyId + index
     }));
@@ -213,6 +392,7 @@ router.post('/otp/bulk', async (req, res) => {
 
     res.json({
       message: 'One-time prekeys uploaded successfully',
+      deviceId,
       count: oneTimePrekeys.length,
       startKeyId
     });
@@ -0,0 +1,107 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { resolveDevice } = require('../utils/devices');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_PUSH_TOKEN_LENGTH = 512;
+
+// Validation middleware
+const validatePushToken = [
+  body('platform')
+    .isIn(['APNS', 'FCM'])
+    .withMessage('Platform must be APNS or FCM'),
+  body('token')
+    .isString()
+    .isLength({ min: 1, max: MAX_PUSH_TOKEN_LENGTH })
+    .withMessage(`Token must be between 1 and ${MAX_PUSH_TOKEN_LENGTH} characters`)
+];
+
+const pushTokenSummary = {
+  deviceId: true,
+  platform: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Get the push registration of the current device (the token itself is
+// never returned)
+router.get('/token', async (req, res) => {
+  try {
+    const device = req.device || await resolveDevice(prisma, req.user.id);
+
+    const pushToken = await prisma.pushToken.findUnique({
+      where: { deviceId: device.id },
+      select: pushTokenSummary
+    });
+
+    res.json({ registered: Boolean(pushToken), pushToken });
+
+  } catch (error) {
+    console.error('Push token fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch push token' });
+  }
+});
+
+// Register or replace the push token of the current device
+router.put('/token', validatePushToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { platform, token } = req.body;
+    const userId = req.user.id;
+    const device = req.device || await resolveDevice(prisma, userId);
+
+    // A token moves with the app install: drop it from whichever device
+    // held it before, so one install never gets two pings
+    const [, pushToken] = await prisma.$transaction([
+      prisma.pushToken.deleteMany({ where: { token, deviceId: { not: device.id } } }),
+      prisma.pushToken.upsert({
+        where: { deviceId: device.id },
+        update: { platform, token },
+        create: { userId, deviceId: device.id, platform, token },
+        select: pushTokenSummary
+      })
+    ]);
+
+    res.json({
+      message: 'Push token registered',
+      pushToken
+    });
+
+  } catch (error) {
+    console.error('Push token registration error:', error);
+    res.status(500).json({ error: 'Failed to register push token' });
+  }
+});
+
+// Stop push notifications for the current device
+router.delete('/token', async (req, res) => {
+  try {
+    const device = req.device || await resolveDevice(prisma, req.user.id);
+
+    const { count } = await prisma.pushToken.deleteMany({
+      where: { deviceId: device.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'No push token registered' });
+    }
+
+    res.json({ message: 'Push token removed' });
+
+  } catch (error) {
+    console.error('Push token removal error:', error);
+    res.status(500).json({ error: 'Failed to remove push token' });
+  }
+});
+
+module.exports = router;
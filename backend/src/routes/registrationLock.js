@@ -0,0 +1,181 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authRateLimiter } = require('../middleware/rateLimiter');
+const {
+  validatePin,
+  hashPin,
+  getRegistrationLockState,
+  verifyPin,
+  registrationLockSatisfied
+} = require('../utils/registrationLock');
+const { resetBackupDownloads } = require('../utils/keyBackups');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateLockSetup = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validatePin
+];
+
+const findUser = (userId) => prisma.user.findUnique({ where: { id: userId } });
+
+const pinBlockedResponse = (res, blockedUntil) => res.status(429).json({
+  error: 'Too many incorrect PINs, try again later',
+  blockedUntil
+});
+
+// Registration lock status for the current user
+router.get('/', async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+    const { active, expiresAt } = await getRegistrationLockState(prisma, user);
+
+    res.json({
+      enabled: Boolean(user.registrationLockHash),
+      active,
+      expiresAt,
+      blockedUntil: user.registrationLockBlockedUntil > new Date()
+        ? user.registrationLockBlockedUntil
+        : null
+    });
+
+  } catch (error) {
+    console.error('Registration lock status error:', error);
+    res.status(500).json({ error: 'Failed to fetch registration lock status' });
+  }
+});
+
+// Set or change the PIN. Changing an active lock needs the old PIN
+// verified first (POST /verify).
+router.put('/', authRateLimiter, validateLockSetup, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!await registrationLockSatisfied(prisma, user.id, req.session)) {
+      return res.status(403).json({
+        error: 'Registration lock PIN required',
+        registrationLockRequired: true
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        registrationLockHash: await hashPin(req.body.pin),
+        registrationLockSetAt: new Date(),
+        registrationLockFailures: 0,
+        registrationLockBlockedUntil: null
+      }
+    });
+
+    res.json({ message: 'Registration lock enabled' });
+
+  } catch (error) {
+    console.error('Registration lock setup error:', error);
+    res.status(500).json({ error: 'Failed to set registration lock' });
+  }
+});
+
+// Verify the PIN for this session, unlocking identity rotation and key
+// backup download for a few minutes. Also restores the download allowance.
+router.post('/verify', authRateLimiter, validatePin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (!user.registrationLockHash) {
+      return res.status(400).json({ error: 'Registration lock is not enabled' });
+    }
+
+    const result = await verifyPin(prisma, user, req.body.pin);
+    if (result.blockedUntil) {
+      return pinBlockedResponse(res, result.blockedUntil);
+    }
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
+
+    await prisma.session.update({
+      where: { id: req.session.id },
+      data: { registrationLockVerifiedAt: new Date() }
+    });
+    await resetBackupDownloads(prisma, user.id);
+
+    res.json({ message: 'PIN verified' });
+
+  } catch (error) {
+    console.error('Registration lock verify error:', error);
+    res.status(500).json({ error: 'Failed to verify PIN' });
+  }
+});
+
+// Remove the lock (requires the PIN)
+router.delete('/', authRateLimiter, validatePin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (!user.registrationLockHash) {
+      return res.status(404).json({ error: 'Registration lock is not enabled' });
+    }
+
+    const result = await verifyPin(prisma, user, req.body.pin);
+    if (result.blockedUntil) {
+      return pinBlockedResponse(res, result.blockedUntil);
+    }
+    if (!result.ok) {
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        registrationLockHash: null,
+        registrationLockSetAt: null,
+        registrationLockFailures: 0,
+        registrationLockBlockedUntil: null
+      }
+    });
+
+    res.json({ message: 'Registration lock removed' });
+
+  } catch (error) {
+    console.error('Registration lock removal error:', error);
+    res.status(500).json({ error: 'Failed to remove registration lock' });
+  }
+});
+
+module.exports = router;
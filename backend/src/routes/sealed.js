@@ -0,0 +1,37 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { validationResult } = require('express-validator');
+const { validateSealedMessage, sendSealedMessage } = require('../utils/directMessages');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Send a sealed-sender message. Mounted without the JWT middleware: the
+// sender authenticates with the recipient's delivery token in the
+// `X-Delivery-Token` header, and their identity stays inside the envelope.
+router.post('/', validateSealedMessage, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { status, body: result } = await sendSealedMessage(
+      prisma,
+      req.app.get('io'),
+      req.header('X-Delivery-Token'),
+      req.body
+    );
+
+    res.status(status).json(result);
+
+  } catch (error) {
+    console.error('Sealed message send error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authRateLimiter } = require('../middleware/rateLimiter');
+const {
+  validateSecondFactor,
+  generateTotpSecret,
+  totpUri,
+  matchTotpStep,
+  replaceRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validatePassword = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const findUser = (userId) => prisma.user.findUnique({ where: { id: userId } });
+
+// Record that the current session just passed a second factor check
+const markSecondFactor = (sessionId) => prisma.session.update({
+  where: { id: sessionId },
+  data: { secondFactorAt: new Date() }
+});
+
+// 2FA status for the current user
+router.get('/', async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+
+    const recoveryCodesRemaining = user.totpEnabledAt
+      ? await prisma.recoveryCode.count({ where: { userId: user.id, usedAt: null } })
+      : 0;
+
+    res.json({
+      enabled: Boolean(user.totpEnabledAt),
+      enabledAt: user.totpEnabledAt,
+      recoveryCodesRemaining
+    });
+
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch 2FA status' });
+  }
+});
+
+// Start enrollment: issue a new TOTP secret. 2FA stays off until a code
+// from it is confirmed.
+router.post('/setup', authRateLimiter, validatePassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: secret, totpLastStep: null }
+    });
+
+    res.json({
+      message: 'Scan the secret with an authenticator app, then confirm a code',
+      secret,
+      otpauthUri: totpUri(secret, user.username)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup' });
+  }
+});
+
+// Finish enrollment with a code from the new secret. Returns the recovery
+// codes; they are not shown again.
+router.post('/confirm', authRateLimiter, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Start 2FA setup first' });
+    }
+
+    const step = matchTotpStep(user.totpSecret, req.body.code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { totpEnabledAt: new Date(), totpLastStep: step }
+      });
+      return replaceRecoveryCodes(tx, user.id);
+    });
+    await markSecondFactor(req.session.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Failed to enable 2FA' });
+  }
+});
+
+// Step-up check for operations that need a fresh second factor
+router.post('/verify', authRateLimiter, validateSecondFactor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifySecondFactor(prisma, user, req.body)) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await markSecondFactor(req.session.id);
+
+    res.json({ message: 'Second factor verified' });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify second factor' });
+  }
+});
+
+// Replace all recovery codes (requires a TOTP code)
+router.post('/recovery-codes', authRateLimiter, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifySecondFactor(prisma, user, { code: req.body.code })) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(tx => replaceRecoveryCodes(tx, user.id));
+
+    res.json({
+      message: 'Recovery codes replaced',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Failed to replace recovery codes' });
+  }
+});
+
+// Turn 2FA off (requires the password and a second factor)
+router.post('/disable', authRateLimiter, validatePassword, validateSecondFactor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await findUser(req.user.id);
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.passwordHash);
+    if (!isValidPassword || !await verifySecondFactor(prisma, user, req.body)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,31 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
-const { query, body, validationResult } = require('express-validator');
+const { query, body, param, validationResult } = require('express-validator');
+const { authRateLimiter } = require('../middleware/rateLimiter');
+const { getPrimaryDevice, recordIdentityKey } = require('../utils/devices');
+const { getBlockState, getPeerIds } = require('../utils/contacts');
+const { hasFreshSecondFactor } = require('../utils/twoFactor');
+const { hashDeliveryToken } = require('../utils/sealedSender');
+const { registrationLockSatisfied } = require('../utils/registrationLock');
+const { disconnectSessions } = require('../utils/sessions');
+const {
+  KEY_BACKUP_MAX_DOWNLOADS,
+  backupSummary,
+  migrateLegacyBackup,
+  storeKeyBackup,
+  claimBackupDownload,
+  lockAccount
+} = require('../utils/keyBackups');
+const { ensureGroupAdmin } = require('../utils/groups');
+const { getAttachmentStore } = require('../services/attachmentStore');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Most past identity keys returned by GET /:userId/identity
+const IDENTITY_HISTORY_LIMIT = 20;
+
 // Validation middleware
 const validateUserSearch = [
   query('q')
@@ -17,6 +38,46 @@ const validateUserSearch = [
     .withMessage('Limit must be between 1 and 50')
 ];
 
+// KDF parameters travel with the backup so any client can re-derive the key
+const MAX_KDF_PARAMS_LENGTH = 1024;
+
+const validateKeyBackup = [
+  body('backup')
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid backup blob'),
+  body('salt')
+    .optional()
+    .isString()
+    .withMessage('Invalid backup salt'),
+  body('kdf')
+    .optional()
+    .isObject()
+    .custom(kdf => JSON.stringify(kdf).length <= MAX_KDF_PARAMS_LENGTH)
+    .withMessage('KDF parameters must be a small object'),
+  body('kdf.algorithm')
+    .if(body('kdf').exists())
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('KDF algorithm is required')
+];
+
+// Recipient-chosen secret that sealed senders present instead of a JWT.
+// Clients derive it from their profile key and share it with contacts.
+const validateDeliveryToken = [
+  body('deliveryToken')
+    .isBase64()
+    .isLength({ min: 22, max: 128 })
+    .withMessage('Delivery token must be 16-96 bytes of base64')
+];
+
+// Read receipts off: reading only reports delivery to senders
+const validateSettings = [
+  body('readReceipts')
+    .isBoolean({ strict: true })
+    .withMessage('readReceipts must be a boolean')
+];
+
 // Get current user profile
 router.get('/me', async (req, res) => {
   try {
@@ -28,7 +89,10 @@ router.get('/me', async (req, res) => {
         id: true,
         username: true,
         email: true,
+        emailVerifiedAt: true,
         identityPubkey: true,
+        readReceipts: true,
+        totpEnabledAt: true,
         createdAt: true,
         updatedAt: true
       }
@@ -60,9 +124,75 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// Rotate identity public key (client has lost keys and needs to re-enroll)
-router.post('/identity/rotate',
-  body('identityPubkey').isBase64().withMessage('Identity public key must be valid base64'),
+// Update privacy settings
+router.put('/me/settings', validateSettings, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { readReceipts: req.body.readReceipts },
+      select: { readReceipts: true }
+    });
+
+    res.json({
+      message: 'Settings updated',
+      settings: user
+    });
+
+  } catch (error) {
+    console.error('Settings update error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Set the delivery token for sealed-sender messages. Replacing it cuts off
+// everyone holding the old one; blocking someone clears it.
+router.put('/me/delivery-token', validateDeliveryToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { deliveryTokenHash: hashDeliveryToken(req.body.deliveryToken) }
+    });
+
+    res.json({ message: 'Delivery token updated' });
+  } catch (error) {
+    console.error('Delivery token update error:', error);
+    res.status(500).json({ error: 'Failed to update delivery token' });
+  }
+});
+
+// Stop accepting sealed-sender messages
+router.delete('/me/delivery-token', async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { deliveryTokenHash: null }
+    });
+
+    res.json({ message: 'Sealed sender disabled' });
+  } catch (error) {
+    console.error('Delivery token removal error:', error);
+    res.status(500).json({ error: 'Failed to disable sealed sender' });
+  }
+});
+
+// Delete account (requires password re-confirmation). Prekeys, key backup,
+// sessions, attachments and queued messages are removed with the user row.
+router.delete('/me',
+  authRateLimiter,
+  body('password').notEmpty().withMessage('Password is required'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -71,31 +201,278 @@ router.post('/identity/rotate',
       }
 
       const userId = req.user.id;
-      const { identityPubkey } = req.body;
 
-      // Update identity key and clear existing prekeys so client can upload fresh ones
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { passwordHash: true }
+      });
+
+      const isValidPassword = user && await bcrypt.compare(req.body.password, user.passwordHash);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      // Collect peers before their links to this user disappear
+      const [peerIds, memberships] = await Promise.all([
+        getPeerIds(prisma, userId),
+        prisma.groupMember.findMany({
+          where: { userId },
+          select: { groupId: true }
+        })
+      ]);
+      const groupIds = memberships.map(membership => membership.groupId);
+      const attachments = await prisma.attachment.findMany({
+        where: { uploaderId: userId },
+        select: { id: true }
+      });
+
       await prisma.$transaction(async (tx) => {
-        await tx.user.update({
-          where: { id: userId },
-          data: { identityPubkey }
-        });
+        await tx.user.delete({ where: { id: userId } });
 
-        await tx.prekey.deleteMany({ where: { userId } });
-        await tx.oneTimePrekey.deleteMany({ where: { userId } });
+        // Groups this user administered keep working for the others
+        for (const groupId of groupIds) {
+          await ensureGroupAdmin(tx, groupId);
+        }
       });
 
-      res.json({ message: 'Identity key rotated. Please upload new prekeys.' });
+      // Attachment rows went with the user; their blobs have to go too
+      const attachmentStore = getAttachmentStore();
+      for (const attachment of attachments) {
+        await attachmentStore.remove(attachment.id);
+      }
+
+      const io = req.app.get('io');
+      if (io) {
+        for (const peerId of peerIds) {
+          io.to(`user_${peerId}`).emit('account_deleted', {
+            userId,
+            username: req.user.username
+          });
+        }
+        io.in(`user_${userId}`).disconnectSockets(true);
+      }
+
+      res.json({ message: 'Account deleted successfully' });
     } catch (error) {
-      console.error('Identity rotate error:', error);
-      res.status(500).json({ error: 'Failed to rotate identity key' });
+      console.error('Account deletion error:', error);
+      res.status(500).json({ error: 'Failed to delete account' });
     }
   }
 );
 
-// Store client-side encrypted key backup blob
-router.post('/keys/backup',
-  body('backup').isString().notEmpty().withMessage('Invalid backup blob'),
-  body('salt').optional().isString().withMessage('Invalid backup salt'),
+// Hand out backup ciphertext: one version, or the latest. With 2FA on, the
+// session must have passed a second factor check recently (login or POST
+// /api/auth/2fa/verify); with a registration lock, it must have verified
+// the PIN. Each download counts against KEY_BACKUP_MAX_DOWNLOADS, and a
+// download past it locks the account. Resolves to { backup,
+// downloadsRemaining }, or null once an error response has been sent.
+const claimKeyBackup = async (req, res, version) => {
+  const userId = req.user.id;
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { totpEnabledAt: true }
+  });
+
+  if (user?.totpEnabledAt && !hasFreshSecondFactor(req.session)) {
+    res.status(403).json({
+      error: 'Recent second factor verification required',
+      twoFactorRequired: true
+    });
+    return null;
+  }
+  if (!await registrationLockSatisfied(prisma, userId, req.session)) {
+    res.status(403).json({
+      error: 'Registration lock PIN required',
+      registrationLockRequired: true
+    });
+    return null;
+  }
+
+  await migrateLegacyBackup(prisma, userId);
+  const backup = await prisma.keyBackup.findFirst({
+    where: { userId, ...(version && { version }) },
+    orderBy: { version: 'desc' }
+  });
+
+  if (!backup) {
+    res.status(404).json({ error: 'No backup found' });
+    return null;
+  }
+
+  const downloadsRemaining = await claimBackupDownload(prisma, userId);
+  if (downloadsRemaining === null) {
+    const sessionIds = await lockAccount(prisma, userId);
+    disconnectSessions(req.app.get('io'), sessionIds);
+    res.status(423).json({
+      error: 'Backup download limit reached. The account is locked until the password is reset.',
+      accountLocked: true
+    });
+    return null;
+  }
+
+  return { backup, downloadsRemaining };
+};
+
+// Export everything the server holds about the current user. Message
+// contents stay ciphertext; the server never had the plaintext. With a key
+// backup stored, the export includes the latest one and so needs the same
+// checks as a backup download, and counts as one.
+router.get('/me/export', authRateLimiter, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await migrateLegacyBackup(prisma, userId);
+    let claimed = null;
+    if (await prisma.keyBackup.count({ where: { userId } }) > 0) {
+      claimed = await claimKeyBackup(req, res);
+      if (!claimed) {
+        return;
+      }
+    }
+
+    const [
+      user, devices, sessions, groups, messages, reactions, contacts, blocks, identityKeys, keyBackups, mutes, pushTokens
+    ] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          emailVerifiedAt: true,
+          identityPubkey: true,
+          readReceipts: true,
+          totpEnabledAt: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      }),
+      prisma.device.findMany({
+        where: { userId },
+        select: { id: true, name: true, identityPubkey: true, createdAt: true, lastSeenAt: true }
+      }),
+      prisma.session.findMany({
+        where: { userId },
+        select: {
+          id: true,
+          deviceId: true,
+          userAgent: true,
+          ipAddress: true,
+          createdAt: true,
+          lastUsedAt: true,
+          expiresAt: true,
+          revokedAt: true
+        }
+      }),
+      prisma.groupMember.findMany({
+        where: { userId },
+        select: {
+          role: true,
+          joinedAt: true,
+          group: { select: { id: true, name: true, createdAt: true } }
+        }
+      }),
+      prisma.message.findMany({
+        where: { OR: [{ senderId: userId }, { recipientId: userId }] },
+        select: {
+          id: true,
+          senderId: true,
+          recipientId: true,
+          recipientDeviceId: true,
+          groupId: true,
+          ciphertext: true,
+          messageType: true,
+          status: true,
+          deliveredAt: true,
+          readAt: true,
+          replyToId: true,
+          editCount: true,
+          editedAt: true,
+          deletedAt: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.reaction.findMany({
+        where: { userId },
+        select: { messageId: true, ciphertext: true, createdAt: true, updatedAt: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.contact.findMany({
+        where: { OR: [{ requesterId: userId }, { addresseeId: userId }] },
+        select: {
+          requesterId: true,
+          addresseeId: true,
+          status: true,
+          createdAt: true,
+          respondedAt: true
+        }
+      }),
+      prisma.block.findMany({
+        where: { blockerId: userId },
+        select: { blockedId: true, createdAt: true }
+      }),
+      prisma.identityKey.findMany({
+        where: { userId },
+        select: { deviceId: true, identityPubkey: true, createdAt: true, replacedAt: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.keyBackup.findMany({
+        where: { userId },
+        select: backupSummary,
+        orderBy: { version: 'asc' }
+      }),
+      prisma.conversationMute.findMany({
+        where: { userId },
+        select: { peerId: true, groupId: true, mutedUntil: true, createdAt: true }
+      }),
+      prisma.pushToken.findMany({
+        where: { userId },
+        select: { deviceId: true, platform: true, createdAt: true, updatedAt: true }
+      })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.attachment(`account-export-${userId}.json`);
+    res.json({
+      exportedAt: new Date(),
+      profile: user,
+      devices,
+      sessions,
+      groups: groups.map(membership => ({
+        ...membership.group,
+        role: membership.role,
+        joinedAt: membership.joinedAt
+      })),
+      messages,
+      reactions,
+      contacts,
+      blocks,
+      identityKeys,
+      keyBackups,
+      keyBackup: claimed ? {
+        version: claimed.backup.version,
+        backup: claimed.backup.ciphertext,
+        salt: claimed.backup.salt,
+        kdf: claimed.backup.kdf,
+        createdAt: claimed.backup.createdAt,
+        downloadsRemaining: claimed.downloadsRemaining
+      } : null,
+      mutes,
+      pushTokens
+    });
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+// Rotate identity public key (client has lost keys and needs to re-enroll)
+router.post('/identity/rotate',
+  body('identityPubkey').isBase64().withMessage('Identity public key must be valid base64'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -104,39 +481,170 @@ router.post('/keys/backup',
       }
 
       const userId = req.user.id;
-      const { backup, salt } = req.body;
+      const { identityPubkey } = req.body;
 
-      await prisma.user.update({
-        where: { id: userId },
-        data: { keyBackup: backup, keyBackupSalt: salt }
+      if (!await registrationLockSatisfied(prisma, userId, req.session)) {
+        return res.status(403).json({
+          error: 'Registration lock PIN required',
+          registrationLockRequired: true
+        });
+      }
+
+      // Update the calling device's identity key and clear its prekeys so the
+      // client can upload fresh ones. The primary device's key is also the
+      // account-level identity key.
+      const rotation = await prisma.$transaction(async (tx) => {
+        const primaryDevice = await getPrimaryDevice(tx, userId);
+        const device = req.device || primaryDevice;
+        const changed = device.identityPubkey !== identityPubkey;
+
+        await tx.device.update({
+          where: { id: device.id },
+          data: { identityPubkey }
+        });
+        const entry = await recordIdentityKey(tx, device, identityPubkey);
+
+        if (device.id === primaryDevice.id) {
+          await tx.user.update({
+            where: { id: userId },
+            data: { identityPubkey }
+          });
+        }
+
+        await tx.prekey.deleteMany({ where: { deviceId: device.id } });
+        await tx.oneTimePrekey.deleteMany({ where: { deviceId: device.id } });
+
+        return { deviceId: device.id, changed, changedAt: entry.createdAt };
       });
 
-      res.json({ message: 'Backup stored' });
+      // Peers must re-verify safety numbers before trusting the new key
+      const io = req.app.get('io');
+      if (io && rotation.changed) {
+        const peerIds = await getPeerIds(prisma, userId);
+        for (const peerId of peerIds) {
+          io.to(`user_${peerId}`).emit('identity_changed', {
+            userId,
+            username: req.user.username,
+            deviceId: rotation.deviceId,
+            identityPubkey,
+            changedAt: rotation.changedAt
+          });
+        }
+      }
+
+      res.json({ message: 'Identity key rotated. Please upload new prekeys.' });
     } catch (error) {
-      console.error('Key backup error:', error);
-      res.status(500).json({ error: 'Failed to store backup' });
+      console.error('Identity rotate error:', error);
+      res.status(500).json({ error: 'Failed to rotate identity key' });
     }
   }
 );
 
-// Retrieve key backup blob
-router.get('/keys/backup', async (req, res) => {
+// Store a new version of the client-side encrypted key backup
+router.post('/keys/backup', validateKeyBackup, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
     const userId = req.user.id;
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { keyBackup: true, keyBackupSalt: true }
+    const { backup, salt, kdf } = req.body;
+
+    await migrateLegacyBackup(prisma, userId);
+    const version = await storeKeyBackup(prisma, userId, {
+      ciphertext: backup,
+      salt,
+      kdf,
+      deviceId: req.device?.id
     });
-    if (!user || !user.keyBackup) {
-      return res.status(404).json({ error: 'No backup found' });
-    }
-    res.json({ backup: user.keyBackup, salt: user.keyBackupSalt });
+
+    res.status(201).json({ message: 'Backup stored', version });
+  } catch (error) {
+    console.error('Key backup error:', error);
+    res.status(500).json({ error: 'Failed to store backup' });
+  }
+});
+
+// List stored backup versions (metadata only; does not count as a download)
+router.get('/keys/backups', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await migrateLegacyBackup(prisma, userId);
+    const [backups, user] = await Promise.all([
+      prisma.keyBackup.findMany({
+        where: { userId },
+        select: backupSummary,
+        orderBy: { version: 'desc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { keyBackupDownloads: true }
+      })
+    ]);
+
+    const downloadsRemaining = Math.max(KEY_BACKUP_MAX_DOWNLOADS - user.keyBackupDownloads, 0);
+    res.json({
+      backups,
+      latestVersion: backups[0]?.version ?? null,
+      downloadsRemaining,
+      locked: downloadsRemaining === 0
+    });
+  } catch (error) {
+    console.error('Key backup list error:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Download one backup version, or the latest
+const sendKeyBackup = async (req, res, version) => {
+  const claimed = await claimKeyBackup(req, res, version);
+  if (!claimed) {
+    return;
+  }
+
+  const { backup, downloadsRemaining } = claimed;
+  res.json({
+    version: backup.version,
+    backup: backup.ciphertext,
+    salt: backup.salt,
+    kdf: backup.kdf,
+    deviceId: backup.deviceId,
+    createdAt: backup.createdAt,
+    downloadsRemaining
+  });
+};
+
+// Retrieve the latest key backup
+router.get('/keys/backup', authRateLimiter, async (req, res) => {
+  try {
+    await sendKeyBackup(req, res);
   } catch (error) {
     console.error('Key backup fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch backup' });
   }
 });
 
+// Retrieve an older backup version to restore from
+router.get('/keys/backups/:version',
+  authRateLimiter,
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      await sendKeyBackup(req, res, parseInt(req.params.version));
+    } catch (error) {
+      console.error('Key backup fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch backup' });
+    }
+  }
+);
+
 // Search users (for finding people to chat with)
 router.get('/search', validateUserSearch, async (req, res) => {
   try {
@@ -151,18 +659,25 @@ router.get('/search', validateUserSearch, async (req, res) => {
     const { q: searchQuery, limit = 20 } = req.query;
     const currentUserId = req.user.id;
 
+    // Never list the current user, or anyone who blocked them
+    const visible = {
+      id: { not: currentUserId },
+      blocking: { none: { blockedId: currentUserId } }
+    };
+
     let users;
     
     if (searchQuery) {
-      // Search by username or email
+      // Search by username, or find someone by their exact email address
+      // (emails are never returned)
       users = await prisma.user.findMany({
         where: {
           AND: [
-            { id: { not: currentUserId } }, // Exclude current user
+            visible,
             {
               OR: [
                 { username: { contains: searchQuery, mode: 'insensitive' } },
-                { email: { contains: searchQuery, mode: 'insensitive' } }
+                { email: { equals: searchQuery, mode: 'insensitive' } }
               ]
             }
           ]
@@ -170,7 +685,6 @@ router.get('/search', validateUserSearch, async (req, res) => {
         select: {
           id: true,
           username: true,
-          email: true,
           createdAt: true
         },
         take: parseInt(limit),
@@ -181,13 +695,10 @@ router.get('/search', validateUserSearch, async (req, res) => {
     } else {
       // Return recent users (if no search query)
       users = await prisma.user.findMany({
-        where: {
-          id: { not: currentUserId }
-        },
+        where: visible,
         select: {
           id: true,
           username: true,
-          email: true,
           createdAt: true
         },
         take: parseInt(limit),
@@ -209,6 +720,77 @@ router.get('/search', validateUserSearch, async (req, res) => {
   }
 });
 
+// Current identity keys of a user and when they last changed, for
+// computing and comparing safety numbers
+router.get('/:userId/identity', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        username: true,
+        identityPubkey: true,
+        devices: {
+          select: {
+            id: true,
+            name: true,
+            identityPubkey: true,
+            createdAt: true,
+            identityKeys: {
+              where: { replacedAt: null },
+              select: { createdAt: true },
+              take: 1
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    // Users who blocked the requester look like they don't exist
+    const blockState = user && await getBlockState(prisma, req.user.id, userId);
+    if (!user || blockState === 'blocked') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const history = await prisma.identityKey.findMany({
+      where: { userId },
+      select: {
+        deviceId: true,
+        identityPubkey: true,
+        createdAt: true,
+        replacedAt: true
+      },
+      orderBy: { createdAt: 'desc' },
+      take: IDENTITY_HISTORY_LIMIT
+    });
+
+    // Devices registered before key history was kept date from creation
+    const devices = user.devices.map(device => ({
+      deviceId: device.id,
+      name: device.name,
+      identityPubkey: device.identityPubkey,
+      changedAt: device.identityKeys[0]?.createdAt ?? device.createdAt
+    }));
+
+    res.json({
+      userId: user.id,
+      username: user.username,
+      identityPubkey: user.identityPubkey,
+      // The oldest device is the primary one and holds the account key
+      changedAt: devices[0]?.changedAt ?? null,
+      devices,
+      history
+    });
+
+  } catch (error) {
+    console.error('Get identity error:', error);
+    res.status(500).json({ error: 'Failed to get identity key' });
+  }
+});
+
 // Get user by ID (public profile)
 router.get('/:userId', async (req, res) => {
   try {
@@ -257,8 +839,11 @@ router.get('/conversations/recent', async (req, res) => {
           ciphertext,
           "messageType",
           "createdAt",
-          delivered,
-          acknowledged,
+          status,
+          "deliveredAt",
+          "readAt",
+          "editCount",
+          "deletedAt",
           ROW_NUMBER() OVER (
             PARTITION BY (
               CASE 
@@ -269,7 +854,10 @@ router.get('/conversations/recent', async (req, res) => {
             ORDER BY "createdAt" DESC
           ) as rn
         FROM messages 
-        WHERE "senderId" = ${userId} OR "recipientId" = ${userId}
+        WHERE ("senderId" = ${userId} OR "recipientId" = ${userId})
+          AND "senderId" IS NOT NULL
+          AND "groupId" IS NULL
+          AND ("expiresAt" IS NULL OR "expiresAt" > NOW())
       )
       SELECT 
         other_user_id,
@@ -279,8 +867,11 @@ router.get('/conversations/recent', async (req, res) => {
         ciphertext,
         ("messageType"::text) AS "messageType",
         "createdAt",
-        delivered,
-        acknowledged
+        (status::text) AS status,
+        "deliveredAt",
+        "readAt",
+        "editCount",
+        "deletedAt"
       FROM ranked_messages 
       WHERE rn = 1
       ORDER BY "createdAt" DESC
@@ -311,8 +902,14 @@ router.get('/conversations/recent', async (req, res) => {
           ciphertext: msg.ciphertext,
           messageType: msg.messageType,
           createdAt: msg.createdAt,
-          delivered: msg.delivered,
-          acknowledged: msg.acknowledged,
+          status: msg.status,
+          deliveredAt: msg.deliveredAt,
+          readAt: msg.readAt,
+          editCount: msg.editCount,
+          deletedAt: msg.deletedAt,
+          // Legacy flags for older clients
+          delivered: msg.status !== 'SENT',
+          acknowledged: msg.status === 'READ',
           isFromMe: msg.senderId === userId
         }
       };
@@ -0,0 +1,71 @@
+const { PrismaClient } = require('@prisma/client');
+const { getAttachmentStore } = require('./attachmentStore');
+
+const GC_INTERVAL_MS = parseInt(process.env.ATTACHMENT_GC_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+// Uploads must be finished and referenced from a message within this window
+const UNREFERENCED_TTL_MS = parseInt(process.env.ATTACHMENT_UNREFERENCED_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const GC_BATCH_SIZE = 500;
+
+// Removes blobs nobody can reach: abandoned uploads, and attachments that no
+// message references (never sent, or every referencing message is gone)
+class AttachmentGcService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.store = getAttachmentStore();
+    this.timer = null;
+    this.collecting = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.collect(), GC_INTERVAL_MS);
+    this.timer.unref();
+
+    console.log('🗑️  Attachment garbage collector started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async collect() {
+    if (this.collecting) {
+      return;
+    }
+    this.collecting = true;
+
+    try {
+      const cutoff = new Date(Date.now() - UNREFERENCED_TTL_MS);
+      let garbage;
+      do {
+        garbage = await this.prisma.attachment.findMany({
+          where: {
+            createdAt: { lt: cutoff },
+            messages: { none: {} }
+          },
+          select: { id: true },
+          take: GC_BATCH_SIZE
+        });
+
+        for (const { id } of garbage) {
+          // Drop the row first so the blob is never reachable without its
+          // file. The row may be gone already (the uploader or another
+          // instance's collector) or sent since the scan; leave it then.
+          const { count } = await this.prisma.attachment.deleteMany({
+            where: { id, messages: { none: {} } }
+          });
+          if (count === 1) {
+            await this.store.remove(id);
+          }
+        }
+      } while (garbage.length === GC_BATCH_SIZE);
+
+    } catch (error) {
+      console.error('Attachment GC error:', error);
+    } finally {
+      this.collecting = false;
+    }
+  }
+}
+
+module.exports = AttachmentGcService;
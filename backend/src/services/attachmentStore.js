@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Blob stores for client-encrypted attachments. The server only ever sees
+// ciphertext. A store implements:
+//   write(id, offset, buffer)   - write a chunk at a byte offset
+//   createReadStream(id)        - stream the stored blob
+//   remove(id)                  - delete the blob (no error if missing)
+
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+// Stores each attachment as a single file on local disk
+class LocalDiskStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  pathFor(id) {
+    // IDs come from the database, but never let one escape the directory
+    if (!ATTACHMENT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid attachment ID: ${id}`);
+    }
+    return path.join(this.directory, id);
+  }
+
+  async write(id, offset, buffer) {
+    // Never truncate: chunks are claimed in order but may land out of order
+    const handle = await fs.promises.open(this.pathFor(id), fs.constants.O_WRONLY | fs.constants.O_CREAT);
+    try {
+      await handle.write(buffer, 0, buffer.length, offset);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  createReadStream(id) {
+    return fs.createReadStream(this.pathFor(id));
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.pathFor(id), { force: true });
+  }
+}
+
+const createAttachmentStore = () => {
+  const storeType = process.env.ATTACHMENT_STORE || 'local';
+
+  switch (storeType) {
+    case 'local':
+      return new LocalDiskStore(process.env.ATTACHMENT_STORAGE_DIR || 'uploads');
+    default:
+      throw new Error(`Unknown attachment store: ${storeType}`);
+  }
+};
+
+let attachmentStore = null;
+
+// Shared store instance, created on first use
+const getAttachmentStore = () => {
+  if (!attachmentStore) {
+    attachmentStore = createAttachmentStore();
+  }
+  return attachmentStore;
+};
+
+module.exports = {
+  LocalDiskStore,
+  getAttachmentStore
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outgoing mail transports. A transport implements:
+//   send({ from, to, subject, text })  - deliver one plain-text message
+// Production deployments plug in a real provider here; the console and
+// file transports are for local development and tests.
+
+// Prints each message to stdout
+class ConsoleMailTransport {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+// Writes each message as a JSON file, so tests can read back tokens
+class FileMailTransport {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async send(message) {
+    const name = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.promises.writeFile(
+      path.join(this.directory, name),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+}
+
+const createMailTransport = () => {
+  const transportType = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (transportType) {
+    case 'console':
+      return new ConsoleMailTransport();
+    case 'file':
+      return new FileMailTransport(process.env.MAIL_DIR || 'mail');
+    default:
+      throw new Error(`Unknown mail transport: ${transportType}`);
+  }
+};
+
+let mailTransport = null;
+
+// Shared transport instance, created on first use
+const getMailTransport = () => {
+  if (!mailTransport) {
+    mailTransport = createMailTransport();
+  }
+  return mailTransport;
+};
+
+module.exports = {
+  ConsoleMailTransport,
+  FileMailTransport,
+  getMailTransport
+};
@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.MESSAGE_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000; // 1 minute
+const SWEEP_BATCH_SIZE = 1000;
+
+// Hard-deletes messages whose disappearing timer ran out, including ones
+// still waiting in the offline queue, and tells both parties to drop them
+class MessageExpiryService {
+  constructor(io) {
+    this.io = io;
+    this.prisma = new PrismaClient();
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.timer.unref();
+
+    console.log('🧹 Message expiry sweeper started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    // Skip a tick rather than overlap a slow sweep
+    if (this.sweeping) {
+      return;
+    }
+    this.sweeping = true;
+
+    try {
+      let expired;
+      do {
+        expired = await this.prisma.message.findMany({
+          where: { expiresAt: { lte: new Date() } },
+          select: { id: true, senderId: true, recipientId: true },
+          take: SWEEP_BATCH_SIZE
+        });
+
+        if (expired.length === 0) {
+          break;
+        }
+
+        await this.prisma.message.deleteMany({
+          where: { id: { in: expired.map(message => message.id) } }
+        });
+
+        this.notifyExpired(expired);
+      } while (expired.length === SWEEP_BATCH_SIZE);
+
+    } catch (error) {
+      console.error('Message expiry sweep error:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // One `messages_expired` event per affected user
+  notifyExpired(messages) {
+    const byUser = new Map();
+    for (const message of messages) {
+      // Sealed messages have no sender on record
+      for (const userId of [message.senderId, message.recipientId].filter(Boolean)) {
+        if (!byUser.has(userId)) {
+          byUser.set(userId, []);
+        }
+        byUser.get(userId).push(message.id);
+      }
+    }
+
+    for (const [userId, messageIds] of byUser) {
+      this.io.to(`user_${userId}`).emit('messages_expired', { messageIds });
+    }
+  }
+}
+
+module.exports = MessageExpiryService;
@@ -0,0 +1,178 @@
+const { createRedisClient } = require('../utils/redis');
+
+// Tracks which users have at least one connected socket, across every
+// backend instance. A store implements:
+//   add(userId, socketId)      - resolves true for the user's first connection
+//   remove(userId, socketId)   - resolves true once the last connection is gone
+//   isOnline(userId)
+//   countOnline()
+//   close()
+
+// Presence for instances sharing one process
+class MemoryPresenceStore {
+  constructor() {
+    this.connections = new Map(); // userId -> Set of socketIds
+  }
+
+  async add(userId, socketId) {
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    const sockets = this.connections.get(userId);
+    sockets.add(socketId);
+    return sockets.size === 1;
+  }
+
+  async remove(userId, socketId) {
+    const sockets = this.connections.get(userId);
+    if (!sockets) {
+      return false;
+    }
+    sockets.delete(socketId);
+    if (sockets.size > 0) {
+      return false;
+    }
+    this.connections.delete(userId);
+    return true;
+  }
+
+  async isOnline(userId) {
+    return this.connections.has(userId);
+  }
+
+  async countOnline() {
+    return this.connections.size;
+  }
+
+  async close() {
+    this.connections.clear();
+  }
+}
+
+// Connections older than this without a refresh belong to a dead instance
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS) || 60 * 1000; // 1 minute
+const ONLINE_USERS_KEY = 'presence:online';
+
+const userKey = (userId) => `presence:user:${userId}`;
+
+// Each user has a sorted set of socket IDs scored by last refresh, and
+// presence:online holds every user with a live socket. Scripts keep the
+// first/last connection checks atomic across instances.
+const ADD_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[4])
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[2])
+return redis.call('ZCARD', KEYS[1])
+`;
+
+const REMOVE_SCRIPT = `
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+local remaining = redis.call('ZCARD', KEYS[1])
+if remaining == 0 then
+  redis.call('ZREM', KEYS[2], ARGV[2])
+end
+return remaining
+`;
+
+class RedisPresenceStore {
+  constructor() {
+    this.client = createRedisClient('presence');
+    this.localSockets = new Map(); // socketId -> userId, refreshed while connected
+
+    // Keep our connections fresh so other instances don't expire them
+    this.timer = setInterval(() => this.refresh(), PRESENCE_TTL_MS / 3);
+    this.timer.unref();
+  }
+
+  async add(userId, socketId) {
+    this.localSockets.set(socketId, userId);
+    const now = Date.now();
+
+    const count = await this.client.eval(ADD_SCRIPT, {
+      keys: [userKey(userId), ONLINE_USERS_KEY],
+      arguments: [
+        socketId,
+        userId,
+        String(now),
+        String(now - PRESENCE_TTL_MS),
+        String(PRESENCE_TTL_MS * 2)
+      ]
+    });
+    return count === 1;
+  }
+
+  async remove(userId, socketId) {
+    this.localSockets.delete(socketId);
+
+    const remaining = await this.client.eval(REMOVE_SCRIPT, {
+      keys: [userKey(userId), ONLINE_USERS_KEY],
+      arguments: [socketId, userId, String(Date.now() - PRESENCE_TTL_MS)]
+    });
+    return remaining === 0;
+  }
+
+  async isOnline(userId) {
+    const count = await this.client.zCount(userKey(userId), Date.now() - PRESENCE_TTL_MS, '+inf');
+    return count > 0;
+  }
+
+  async countOnline() {
+    return this.client.zCount(ONLINE_USERS_KEY, Date.now() - PRESENCE_TTL_MS, '+inf');
+  }
+
+  async refresh() {
+    try {
+      const now = Date.now();
+      const multi = this.client.multi();
+
+      for (const [socketId, userId] of this.localSockets) {
+        multi.zAdd(userKey(userId), { score: now, value: socketId });
+        multi.pExpire(userKey(userId), PRESENCE_TTL_MS * 2);
+        multi.zAdd(ONLINE_USERS_KEY, { score: now, value: userId });
+      }
+      // Users whose instance died stop being refreshed and fall out here
+      multi.zRemRangeByScore(ONLINE_USERS_KEY, '-inf', now - PRESENCE_TTL_MS);
+
+      await multi.exec();
+    } catch (error) {
+      console.error('Presence refresh error:', error);
+    }
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    await this.client.quit();
+  }
+}
+
+const createPresenceStore = () => {
+  // Presence is shared the same way socket traffic is
+  const storeType = process.env.SOCKET_BUS || 'memory';
+
+  switch (storeType) {
+    case 'memory':
+      return new MemoryPresenceStore();
+    case 'redis':
+      return new RedisPresenceStore();
+    default:
+      throw new Error(`Unknown presence store: ${storeType}`);
+  }
+};
+
+let presenceStore = null;
+
+// Shared store instance, created on first use
+const getPresenceStore = () => {
+  if (!presenceStore) {
+    presenceStore = createPresenceStore();
+  }
+  return presenceStore;
+};
+
+module.exports = {
+  MemoryPresenceStore,
+  RedisPresenceStore,
+  getPresenceStore
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+// Push providers. A provider implements:
+//   send({ platform, token })  - deliver one wake-up ping to a device token
+// Pings never carry message content or metadata: the app wakes, connects
+// and fetches its offline queue. send() rejects with PushTokenInvalidError
+// when the token is no longer registered; any other error is transient.
+
+class PushTokenInvalidError extends Error {
+  constructor(reason) {
+    super(`Push token rejected: ${reason}`);
+    this.name = 'PushTokenInvalidError';
+    this.reason = reason;
+  }
+}
+
+// Prints each ping to stdout
+class LogPushProvider {
+  async send({ platform, token }) {
+    console.log(`🔔 Push (${platform}) to ${token.slice(0, 8)}…`);
+  }
+}
+
+// Writes each ping as a JSON file, so tests can check who was woken
+class FilePushProvider {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async send({ platform, token }) {
+    const name = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.promises.writeFile(
+      path.join(this.directory, name),
+      JSON.stringify({ platform, token, sentAt: new Date() }, null, 2)
+    );
+  }
+}
+
+// Firebase Cloud Messaging (HTTP v1) with a service account key file
+class FcmPushProvider {
+  constructor(serviceAccountFile) {
+    const account = JSON.parse(fs.readFileSync(serviceAccountFile, 'utf8'));
+    this.projectId = account.project_id;
+    this.clientEmail = account.client_email;
+    this.privateKey = account.private_key;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  // OAuth access token from a signed service account assertion, reused
+  // until shortly before it expires
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const assertion = jwt.sign({
+      scope: 'https://www.googleapis.com/auth/firebase.messaging'
+    }, this.privateKey, {
+      algorithm: 'RS256',
+      issuer: this.clientEmail,
+      audience: 'https://oauth2.googleapis.com/token',
+      expiresIn: '1h'
+    });
+
+    const response = await fetch('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`FCM authentication failed with status ${response.status}`);
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = await response.json();
+    this.accessToken = accessToken;
+    this.accessTokenExpiresAt = Date.now() + expiresIn * 1000;
+    return accessToken;
+  }
+
+  async send({ token }) {
+    const response = await fetch(`https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await this.getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token,
+          data: { type: 'wake' },
+          android: { priority: 'HIGH' }
+        }
+      })
+    });
+
+    if (response.ok) {
+      return;
+    }
+    // The payload is fixed, so a 400 can only be about the token
+    if (response.status === 404 || response.status === 400) {
+      throw new PushTokenInvalidError(response.status === 404 ? 'UNREGISTERED' : 'INVALID_ARGUMENT');
+    }
+    throw new Error(`FCM send failed with status ${response.status}`);
+  }
+}
+
+// Apple Push Notification service over HTTP/2 with a .p8 signing key
+class ApnsPushProvider {
+  constructor({ keyFile, keyId, teamId, topic, production }) {
+    this.key = fs.readFileSync(keyFile, 'utf8');
+    this.keyId = keyId;
+    this.teamId = teamId;
+    this.topic = topic;
+    this.host = production ? 'https://api.push.apple.com' : 'https://api.sandbox.push.apple.com';
+    this.session = null;
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  // APNs rejects provider tokens older than an hour and refreshed more
+  // often than every 20 minutes
+  getProviderToken() {
+    if (!this.providerToken || Date.now() - this.providerTokenIssuedAt > 50 * 60 * 1000) {
+      this.providerToken = jwt.sign({}, this.key, {
+        algorithm: 'ES256',
+        issuer: this.teamId,
+        keyid: this.keyId
+      });
+      this.providerTokenIssuedAt = Date.now();
+    }
+    return this.providerToken;
+  }
+
+  getSession() {
+    if (!this.session || this.session.closed || this.session.destroyed) {
+      this.session = http2.connect(this.host);
+      this.session.on('error', (error) => {
+        console.error('APNs connection error:', error.message);
+      });
+      // Let the process exit while the connection sits idle
+      this.session.unref();
+    }
+    return this.session;
+  }
+
+  send({ token }) {
+    return new Promise((resolve, reject) => {
+      const request = this.getSession().request({
+        ':method': 'POST',
+        ':path': `/3/device/${token}`,
+        authorization: `bearer ${this.getProviderToken()}`,
+        'apns-topic': this.topic,
+        'apns-push-type': 'background',
+        'apns-priority': '5'
+      });
+
+      let status = 0;
+      let body = '';
+      request.setEncoding('utf8');
+      request.on('response', (headers) => {
+        status = headers[':status'];
+      });
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('error', reject);
+      request.on('end', () => {
+        if (status === 200) {
+          return resolve();
+        }
+
+        let reason = `status ${status}`;
+        try {
+          reason = JSON.parse(body).reason || reason;
+        } catch (e) {
+          // Keep the status as the reason
+        }
+
+        if (status === 410 || ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'].includes(reason)) {
+          return reject(new PushTokenInvalidError(reason));
+        }
+        reject(new Error(`APNs send failed: ${reason}`));
+      });
+
+      request.end(JSON.stringify({ aps: { 'content-available': 1 } }));
+    });
+  }
+
+  close() {
+    this.session?.close();
+  }
+}
+
+// Sends each token through its platform's service. Platforms without
+// credentials are skipped with a warning.
+class PlatformPushProvider {
+  constructor(providers) {
+    this.providers = providers; // platform -> provider
+  }
+
+  async send(target) {
+    const provider = this.providers[target.platform];
+    if (!provider) {
+      console.warn(`⚠️  No push provider configured for ${target.platform}`);
+      return;
+    }
+    await provider.send(target);
+  }
+}
+
+const createPlatformProviders = () => {
+  const providers = {};
+
+  if (process.env.FCM_SERVICE_ACCOUNT_FILE) {
+    providers.FCM = new FcmPushProvider(process.env.FCM_SERVICE_ACCOUNT_FILE);
+  }
+  if (process.env.APNS_KEY_FILE) {
+    providers.APNS = new ApnsPushProvider({
+      keyFile: process.env.APNS_KEY_FILE,
+      keyId: process.env.APNS_KEY_ID,
+      teamId: process.env.APNS_TEAM_ID,
+      topic: process.env.APNS_TOPIC,
+      production: process.env.APNS_PRODUCTION === 'true'
+    });
+  }
+  return providers;
+};
+
+const createPushProvider = () => {
+  const providerType = process.env.PUSH_PROVIDER || 'log';
+
+  switch (providerType) {
+    case 'log':
+      return new LogPushProvider();
+    case 'file':
+      return new FilePushProvider(process.env.PUSH_DIR || 'push');
+    case 'platform':
+      return new PlatformPushProvider(createPlatformProviders());
+    default:
+      throw new Error(`Unknown push provider: ${providerType}`);
+  }
+};
+
+let pushProvider = null;
+
+// Shared provider instance, created on first use
+const getPushProvider = () => {
+  if (!pushProvider) {
+    pushProvider = createPushProvider();
+  }
+  return pushProvider;
+};
+
+module.exports = {
+  PushTokenInvalidError,
+  LogPushProvider,
+  FilePushProvider,
+  FcmPushProvider,
+  ApnsPushProvider,
+  PlatformPushProvider,
+  getPushProvider
+};
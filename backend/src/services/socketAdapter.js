@@ -0,0 +1,61 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Socket.IO adapter that forwards room broadcasts, remote disconnects and
+// fetchSockets() requests to the other backend instances over a socket bus.
+// ClusterAdapterWithHeartbeat does the protocol work; this class only maps
+// it onto the bus channels.
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+    // Broadcasts go to everyone; responses only to the requesting instance
+    this.channel = `socket.io#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (response) => this.onResponse(response);
+
+    this.ready = Promise.all([
+      bus.subscribe(this.channel, this.handleMessage),
+      bus.subscribe(this.responseChannel, this.handleResponse)
+    ]);
+  }
+
+  async init() {
+    // Announce ourselves only once we can hear the replies
+    await this.ready;
+    super.init();
+  }
+
+  async doPublish(message) {
+    await this.bus.publish(this.channel, message);
+    // No stream offsets, so connection state recovery stays local
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish(`${this.channel}${requesterUid}#`, response);
+  }
+
+  close() {
+    super.close();
+    Promise.all([
+      this.bus.unsubscribe(this.channel, this.handleMessage),
+      this.bus.unsubscribe(this.responseChannel, this.handleResponse)
+    ]).catch((error) => {
+      console.error('Socket adapter close error:', error);
+    });
+  }
+}
+
+// Adapter factory for io.adapter(); Socket.IO instantiates it per namespace
+const createBusAdapter = (bus, opts = {}) => {
+  return function (nsp) {
+    return new BusAdapter(nsp, bus, opts);
+  };
+};
+
+module.exports = {
+  BusAdapter,
+  createBusAdapter
+};
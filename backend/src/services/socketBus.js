@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const msgpack = require('notepack.io');
+const { createRedisClient } = require('../utils/redis');
+
+// Pub/sub buses that carry Socket.IO traffic between backend instances.
+// A bus implements:
+//   publish(channel, message)     - deliver a message to every subscriber
+//   subscribe(channel, handler)   - call handler(message) for each delivery
+//   unsubscribe(channel, handler)
+//   close()
+
+// Delivers within the current process. Enough for a single instance, and
+// lets several instances share one bus in tests.
+class MemoryBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    // Asynchronous like a network hop, so publishers never re-enter themselves
+    setImmediate(() => this.emitter.emit(channel, message));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    this.emitter.off(channel, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Fans out through Redis pub/sub. Messages are MessagePack encoded, which
+// keeps binary payloads (Buffers in emitted events) intact where JSON would not
+class RedisBus {
+  constructor() {
+    this.publisher = createRedisClient('bus publisher');
+    // A client in subscriber mode cannot issue other commands
+    this.subscriber = createRedisClient('bus subscriber');
+    this.listeners = new Map(); // handler -> wrapped listener
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(channel, msgpack.encode(message));
+  }
+
+  async subscribe(channel, handler) {
+    const listener = (raw) => {
+      try {
+        handler(msgpack.decode(raw));
+      } catch (error) {
+        console.error('Socket bus message error:', error);
+      }
+    };
+    this.listeners.set(handler, listener);
+    // Buffer mode: hand the listener raw bytes rather than a string
+    await this.subscriber.subscribe(channel, listener, true);
+  }
+
+  async unsubscribe(channel, handler) {
+    const listener = this.listeners.get(handler);
+    if (listener) {
+      this.listeners.delete(handler);
+      await this.subscriber.unsubscribe(channel, listener, true);
+    }
+  }
+
+  async close() {
+    await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+const createSocketBus = () => {
+  const busType = process.env.SOCKET_BUS || 'memory';
+
+  switch (busType) {
+    case 'memory':
+      return new MemoryBus();
+    case 'redis':
+      return new RedisBus();
+    default:
+      throw new Error(`Unknown socket bus: ${busType}`);
+  }
+};
+
+let socketBus = null;
+
+// Shared bus instance, created on first use
+const getSocketBus = () => {
+  if (!socketBus) {
+    socketBus = createSocketBus();
+  }
+  return socketBus;
+};
+
+module.exports = {
+  MemoryBus,
+  RedisBus,
+  getSocketBus
+};
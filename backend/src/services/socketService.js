@@ -1,11 +1,32 @@
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
-
+const { resolveDevice } = require('../utils/devices');
+const { authenticateAccessToken } = require('../utils/sessions');
+const { getPresenceStore } = require('./presenceStore');
+const {
+  validateMessage,
+  validatePayload,
+  sendDirectMessage
+} = require('../utils/directMessages');
+const {
+  validateEdit,
+  validateDelete,
+  editMessages,
+  deleteMessages
+} = require('../utils/messageRevisions');
+const {
+  RECEIPT_BATCH_MAX,
+  markDelivered,
+  notifyReceipts
+} = require('../utils/receipts');
+const { getBlockState, getContactIds } = require('../utils/contacts');
+
+// Room emits reach sockets on other backend instances through the io
+// adapter (see socketAdapter.js); presence is shared through the store
 class SocketService {
-  constructor(io) {
+  constructor(io, presence = getPresenceStore()) {
     this.io = io;
     this.prisma = new PrismaClient();
-    this.connectedUsers = new Map(); // userId -> socketId mapping
+    this.presence = presence; // one entry per device connection, across instances
   }
 
   initialize() {
@@ -24,20 +45,30 @@ class SocketService {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Verify user exists
-      const user = await this.prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: { id: true, username: true }
-      });
+      // Verify token, session and that the user exists
+      const auth = await authenticateAccessToken(this.prisma, token);
 
-      if (!user) {
-        return next(new Error('Authentication error: User not found'));
+      if (!auth) {
+        return next(new Error('Authentication error: Session revoked or user not found'));
+      }
+
+      const { user, session } = auth;
+
+      // Bind the socket to a device; clients without one use the session's
+      // device or the primary device
+      const deviceId = socket.handshake.auth.deviceId ||
+        socket.handshake.headers['x-device-id'] ||
+        session.deviceId;
+      const device = await resolveDevice(this.prisma, user.id, deviceId);
+
+      if (!device) {
+        return next(new Error('Authentication error: Unknown device'));
       }
 
       socket.userId = user.id;
       socket.username = user.username;
+      socket.deviceId = device.id;
+      socket.sessionId = session.id;
       next();
 
     } catch (error) {
@@ -54,16 +85,43 @@ class SocketService {
     console.log(`🔌 User connected: ${username} (${userId})`);
 
     // Store connection
-    this.connectedUsers.set(userId, socket.id);
+    this.presence.add(userId, socket.id).catch((error) => {
+      console.error('Presence add error:', error);
+    });
 
-    // Join user to their personal room
+    // Join user to their personal room, device room and session room
     socket.join(`user_${userId}`);
+    socket.join(`device_${socket.deviceId}`);
+    // Lets session revocation find and drop this connection
+    socket.join(`session_${socket.sessionId}`);
+
+    this.prisma.device.update({
+      where: { id: socket.deviceId },
+      data: { lastSeenAt: new Date() }
+    }).catch((error) => {
+      console.error('Device last seen update error:', error);
+    });
 
     // Notify user they're connected
     socket.emit('connected', {
       message: 'Connected to encrypted chat server',
       userId,
-      username
+      username,
+      deviceId: socket.deviceId
+    });
+
+    // Handle message sending; the ack callback receives the send result
+    socket.on('send_message', (data, callback) => {
+      this.handleSendMessage(socket, data, callback);
+    });
+
+    // Edits and delete-for-everyone, acked like send_message
+    socket.on('edit_message', (data, callback) => {
+      this.handleEditMessage(socket, data, callback);
+    });
+
+    socket.on('delete_message', (data, callback) => {
+      this.handleDeleteMessage(socket, data, callback);
     });
 
     // Handle typing indicators
@@ -96,8 +154,78 @@ class SocketService {
     });
   }
 
+  // Send a 1:1 message, with the same validation and idempotency as
+  // POST /api/messages/send. Acks { status, ...response body }.
+  async handleSendMessage(socket, data, callback) {
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const errors = await validatePayload(validateMessage, data);
+      if (errors.length > 0) {
+        return ack({
+          status: 400,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const { status, body } = await sendDirectMessage(this.prisma, this.io, socket.userId, data);
+      ack({ status, ...body });
+
+    } catch (error) {
+      console.error('Socket message send error:', error);
+      ack({ status: 500, error: 'Failed to send message' });
+    }
+  }
+
+  // Edit sent messages, as POST /api/messages/edit
+  async handleEditMessage(socket, data, callback) {
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const errors = await validatePayload(validateEdit, data);
+      if (errors.length > 0) {
+        return ack({
+          status: 400,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const { status, body } = await editMessages(this.prisma, this.io, socket.userId, data.edits);
+      ack({ status, ...body });
+
+    } catch (error) {
+      console.error('Socket message edit error:', error);
+      ack({ status: 500, error: 'Failed to edit message' });
+    }
+  }
+
+  // Delete sent messages for everyone, as POST /api/messages/delete
+  async handleDeleteMessage(socket, data, callback) {
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const errors = await validatePayload(validateDelete, data);
+      if (errors.length > 0) {
+        return ack({
+          status: 400,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const { status, body } = await deleteMessages(this.prisma, this.io, socket.userId, data.messageIds);
+      ack({ status, ...body });
+
+    } catch (error) {
+      console.error('Socket message delete error:', error);
+      ack({ status: 500, error: 'Failed to delete message' });
+    }
+  }
+
   // Handle typing start indicator
-  handleTypingStart(socket, data) {
+  async handleTypingStart(socket, data) {
     try {
       const { recipientId } = data;
       
@@ -105,6 +233,11 @@ class SocketService {
         return socket.emit('error', { message: 'Recipient ID required for typing indicator' });
       }
 
+      // Dropped silently when either side has blocked the other
+      if (await getBlockState(this.prisma, socket.userId, recipientId)) {
+        return;
+      }
+
       // Send typing indicator to recipient
       socket.to(`user_${recipientId}`).emit('user_typing', {
         userId: socket.userId,
@@ -119,7 +252,7 @@ class SocketService {
   }
 
   // Handle typing stop indicator
-  handleTypingStop(socket, data) {
+  async handleTypingStop(socket, data) {
     try {
       const { recipientId } = data;
       
@@ -127,6 +260,10 @@ class SocketService {
         return socket.emit('error', { message: 'Recipient ID required for typing indicator' });
       }
 
+      if (await getBlockState(this.prisma, socket.userId, recipientId)) {
+        return;
+      }
+
       // Send typing stop indicator to recipient
       socket.to(`user_${recipientId}`).emit('user_typing', {
         userId: socket.userId,
@@ -140,8 +277,17 @@ class SocketService {
     }
   }
 
+  // Presence only goes to accepted contacts (blocking removes the contact)
+  async emitToContacts(userId, event, data) {
+    const contactIds = await getContactIds(this.prisma, userId);
+    if (contactIds.length === 0) {
+      return;
+    }
+    this.io.to(contactIds.map(id => `user_${id}`)).emit(event, data);
+  }
+
   // Handle user status updates (online/away/busy)
-  handleStatusUpdate(socket, data) {
+  async handleStatusUpdate(socket, data) {
     try {
       const { status } = data;
       
@@ -149,8 +295,7 @@ class SocketService {
         return socket.emit('error', { message: 'Invalid status' });
       }
 
-      // Broadcast status to all connected users (or implement friend lists)
-      socket.broadcast.emit('user_status_changed', {
+      await this.emitToContacts(socket.userId, 'user_status_changed', {
         userId: socket.userId,
         username: socket.username,
         status
@@ -162,41 +307,27 @@ class SocketService {
     }
   }
 
-  // Handle message delivery confirmation
+  // Handle message delivery confirmation (`messageId`, or a `messageIds` batch)
   async handleMessageDelivered(socket, data) {
     try {
-      const { messageId } = data;
-      
-      if (!messageId) {
-        return socket.emit('error', { message: 'Message ID required' });
-      }
-
-      // Update message as delivered in database
-      const message = await this.prisma.message.findUnique({
-        where: { id: messageId },
-        include: { sender: true }
-      });
-
-      if (!message) {
-        return socket.emit('error', { message: 'Message not found' });
-      }
+      const { messageId, messageIds } = data || {};
+      const ids = Array.isArray(messageIds) ? messageIds : [messageId];
 
-      // Only recipient can mark as delivered
-      if (message.recipientId !== socket.userId) {
-        return socket.emit('error', { message: 'Not authorized' });
+      if (ids.length === 0 || ids.length > RECEIPT_BATCH_MAX || !ids.every(id => typeof id === 'string' && id)) {
+        return socket.emit('error', { message: 'Message ID required' });
       }
 
-      await this.prisma.message.update({
-        where: { id: messageId },
-        data: { delivered: true }
-      });
+      // Only the recipient (and the addressed device, if any) can mark as
+      // delivered; anything else is ignored
+      const messages = await markDelivered(
+        this.prisma,
+        socket.userId,
+        { id: socket.deviceId },
+        { id: { in: ids } }
+      );
 
-      // Notify sender
-      socket.to(`user_${message.senderId}`).emit('message_delivered', {
-        messageId,
-        deliveredAt: new Date(),
-        deliveredBy: socket.userId
-      });
+      // Notify senders, once each
+      notifyReceipts(this.io, 'DELIVERED', socket.userId, socket.deviceId, messages);
 
     } catch (error) {
       console.error('Message delivered error:', error);
@@ -205,31 +336,40 @@ class SocketService {
   }
 
   // Handle user disconnection
-  handleDisconnection(socket) {
+  async handleDisconnection(socket) {
     const userId = socket.userId;
     const username = socket.username;
 
     console.log(`🔌 User disconnected: ${username} (${userId})`);
 
-    // Remove from connected users
-    this.connectedUsers.delete(userId);
+    try {
+      // Remove from connected users; the user stays online while any device
+      // is connected to any instance
+      const wasLastConnection = await this.presence.remove(userId, socket.id);
+      if (!wasLastConnection) {
+        return;
+      }
 
-    // Broadcast user offline status
-    socket.broadcast.emit('user_status_changed', {
-      userId,
-      username,
-      status: 'offline'
-    });
+      // Tell contacts the user went offline
+      await this.emitToContacts(userId, 'user_status_changed', {
+        userId,
+        username,
+        status: 'offline'
+      });
+
+    } catch (error) {
+      console.error('Disconnection error:', error);
+    }
   }
 
-  // Check if user is online
+  // Check if user is online on any instance
   isUserOnline(userId) {
-    return this.connectedUsers.has(userId);
+    return this.presence.isOnline(userId);
   }
 
-  // Get connected user count
+  // Get connected user count across all instances
   getConnectedUserCount() {
-    return this.connectedUsers.size;
+    return this.presence.countOnline();
   }
 
   // Send message to specific user
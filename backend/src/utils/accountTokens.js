@@ -0,0 +1,87 @@
+// Single-use, expiring tokens mailed to users for email verification and
+// password reset. Only a hash of each token is stored.
+const crypto = require('crypto');
+const { getMailTransport } = require('../services/mailTransport');
+
+const TOKEN_TTL_MS = {
+  EMAIL_VERIFICATION: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000,
+  PASSWORD_RESET: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000
+};
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token, cancelling any unused ones for the same purpose so only
+// the most recent email works
+const issueAccountToken = async (client, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await client.$transaction([
+    client.accountToken.deleteMany({ where: { userId, purpose, usedAt: null } }),
+    client.accountToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+      }
+    })
+  ]);
+  return token;
+};
+
+// Redeem a token. Resolves to its user ID, or null when it is unknown,
+// expired, already used or meant for something else.
+const consumeAccountToken = async (client, token, purpose) => {
+  const record = await client.accountToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!record || record.purpose !== purpose) {
+    return null;
+  }
+
+  // Conditional update so a token cannot be redeemed twice concurrently
+  const { count } = await client.accountToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  });
+  return count > 0 ? record.userId : null;
+};
+
+const sendMail = (to, subject, text) => getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+
+const sendVerificationEmail = (user, token) => sendMail(
+  user.email,
+  'Confirm your email address',
+  `Hi ${user.username},\n\n` +
+  `Confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n` +
+  'If you did not create an account, you can ignore this email.'
+);
+
+const sendPasswordResetEmail = (user, token) => sendMail(
+  user.email,
+  'Reset your password',
+  `Hi ${user.username},\n\n` +
+  `Reset your password by opening this link:\n${APP_URL}/reset-password?token=${token}\n\n` +
+  `The link expires in ${Math.round(TOKEN_TTL_MS.PASSWORD_RESET / 60000)} minutes and works once. ` +
+  'If you did not ask for a reset, you can ignore this email.'
+);
+
+const sendPasswordChangedEmail = (user) => sendMail(
+  user.email,
+  'Your password was changed',
+  `Hi ${user.username},\n\n` +
+  'The password for your account was just changed and your other sessions were signed out. ' +
+  'If this was not you, reset your password right away.'
+);
+
+module.exports = {
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
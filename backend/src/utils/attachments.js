@@ -0,0 +1,46 @@
+// Attachment limits and message reference helpers
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 100 * 1024 * 1024; // 100 MB
+const ATTACHMENT_USER_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_USER_QUOTA_BYTES) || 1024 * 1024 * 1024; // 1 GB
+const ATTACHMENT_CHUNK_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Messages may only reference the sender's own, fully uploaded attachments.
+// Returns an error message, or null when every reference is usable.
+const checkAttachmentRefs = async (client, uploaderId, attachmentIds) => {
+  if (attachmentIds.length === 0) {
+    return null;
+  }
+
+  // A duplicate would link the same attachment to a message twice
+  if (new Set(attachmentIds).size !== attachmentIds.length) {
+    return 'Attachment IDs must be unique';
+  }
+
+  const count = await client.attachment.count({
+    where: {
+      id: { in: attachmentIds },
+      uploaderId,
+      status: 'COMPLETE'
+    }
+  });
+
+  if (count !== attachmentIds.length) {
+    return 'Attachments must be your own completed uploads';
+  }
+  return null;
+};
+
+// Nested create for linking attachments to a new message
+const attachmentLinks = (attachmentIds) => ({
+  create: attachmentIds.map(attachmentId => ({ attachmentId }))
+});
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_USER_QUOTA_BYTES,
+  ATTACHMENT_CHUNK_MAX_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  checkAttachmentRefs,
+  attachmentLinks
+};
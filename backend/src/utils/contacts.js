@@ -0,0 +1,109 @@
+// Contact and block helpers
+
+// How `userId` relates to `otherUserId` through blocks:
+// 'blocking' (userId blocked them), 'blocked' (they blocked userId) or null
+const getBlockState = async (client, userId, otherUserId) => {
+  const blocks = await client.block.findMany({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: otherUserId },
+        { blockerId: otherUserId, blockedId: userId }
+      ]
+    },
+    select: { blockerId: true }
+  });
+
+  if (blocks.some(block => block.blockerId === userId)) {
+    return 'blocking';
+  }
+  return blocks.length > 0 ? 'blocked' : null;
+};
+
+// Block state between one user and many: which of `otherUserIds` the user
+// has blocked (`blocking`) and which have blocked the user (`blockedBy`)
+const getBlockStates = async (client, userId, otherUserIds) => {
+  const blocks = await client.block.findMany({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: { in: otherUserIds } },
+        { blockerId: { in: otherUserIds }, blockedId: userId }
+      ]
+    },
+    select: { blockerId: true, blockedId: true }
+  });
+
+  const blocking = new Set();
+  const blockedBy = new Set();
+  for (const block of blocks) {
+    if (block.blockerId === userId) {
+      blocking.add(block.blockedId);
+    } else {
+      blockedBy.add(block.blockerId);
+    }
+  }
+  return { blocking, blockedBy };
+};
+
+// The contact row between two users, whichever of them sent the request
+const findContact = (client, userId, otherUserId) => client.contact.findFirst({
+  where: {
+    OR: [
+      { requesterId: userId, addresseeId: otherUserId },
+      { requesterId: otherUserId, addresseeId: userId }
+    ]
+  }
+});
+
+// IDs of everyone the user has an accepted contact with
+const getContactIds = async (client, userId) => {
+  const contacts = await client.contact.findMany({
+    where: {
+      status: 'ACCEPTED',
+      OR: [{ requesterId: userId }, { addresseeId: userId }]
+    },
+    select: { requesterId: true, addresseeId: true }
+  });
+
+  return contacts.map(contact => (
+    contact.requesterId === userId ? contact.addresseeId : contact.requesterId
+  ));
+};
+
+// IDs of everyone the user has talked to: 1:1 message partners, fellow
+// group members and accepted contacts
+const getPeerIds = async (client, userId) => {
+  const [messagePeers, memberships, contactIds] = await Promise.all([
+    client.message.findMany({
+      where: { OR: [{ senderId: userId }, { recipientId: userId }] },
+      select: { senderId: true, recipientId: true },
+      distinct: ['senderId', 'recipientId']
+    }),
+    client.groupMember.findMany({
+      where: { userId },
+      select: { groupId: true }
+    }),
+    getContactIds(client, userId)
+  ]);
+  const groupPeers = await client.groupMember.findMany({
+    where: { groupId: { in: memberships.map(membership => membership.groupId) } },
+    select: { userId: true }
+  });
+
+  const peerIds = new Set([
+    ...messagePeers.flatMap(message => [message.senderId, message.recipientId]),
+    ...groupPeers.map(member => member.userId),
+    ...contactIds
+  ]);
+  // Sealed messages have no sender on record
+  peerIds.delete(null);
+  peerIds.delete(userId);
+  return [...peerIds];
+};
+
+module.exports = {
+  getBlockState,
+  getBlockStates,
+  findContact,
+  getContactIds,
+  getPeerIds
+};
@@ -0,0 +1,100 @@
+// Helpers for resolving which of a user's devices a request refers to
+
+// The oldest device is treated as the primary one. Accounts created before
+// multi-device support get a primary device lazily, seeded from the
+// identity key stored on the user row. It takes the user's ID, so
+// concurrent first requests insert the same row and only one lands.
+const getPrimaryDevice = async (client, userId) => {
+  const device = await client.device.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (device) {
+    return device;
+  }
+
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { identityPubkey: true }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  // ON CONFLICT DO NOTHING, which unlike catching P2002 is safe inside
+  // an interactive transaction
+  await client.device.createMany({
+    data: [{
+      id: userId,
+      userId,
+      name: 'primary',
+      identityPubkey: user.identityPubkey
+    }],
+    skipDuplicates: true
+  });
+
+  return client.device.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+// Resolve an explicit device ID (must belong to the user) or fall back to
+// the primary device for clients that predate multi-device support
+const resolveDevice = async (client, userId, deviceId) => {
+  if (!deviceId) {
+    return getPrimaryDevice(client, userId);
+  }
+
+  return client.device.findFirst({
+    where: { id: deviceId, userId }
+  });
+};
+
+// Record `identityPubkey` as the device's current identity key, closing the
+// entry it replaces. Resolves to the current entry.
+const recordIdentityKey = async (client, device, identityPubkey) => {
+  const now = new Date();
+  const current = await client.identityKey.findFirst({
+    where: { deviceId: device.id, replacedAt: null }
+  });
+
+  if (current?.identityPubkey === identityPubkey) {
+    return current;
+  }
+
+  if (current) {
+    await client.identityKey.update({
+      where: { id: current.id },
+      data: { replacedAt: now }
+    });
+  } else if (device.identityPubkey !== identityPubkey) {
+    // Device predates key history; keep its old key on record
+    await client.identityKey.create({
+      data: {
+        userId: device.userId,
+        deviceId: device.id,
+        identityPubkey: device.identityPubkey,
+        createdAt: device.createdAt,
+        replacedAt: now
+      }
+    });
+  }
+
+  return client.identityKey.create({
+    data: {
+      userId: device.userId,
+      deviceId: device.id,
+      identityPubkey,
+      createdAt: now
+    }
+  });
+};
+
+module.exports = {
+  getPrimaryDevice,
+  resolveDevice,
+  recordIdentityKey
+};
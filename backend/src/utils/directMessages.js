@@ -0,0 +1,385 @@
+// 1:1 message sending, shared by POST /api/messages/send and the
+// `send_message` socket event
+
+const { body, validationResult } = require('express-validator');
+const { MAX_DISAPPEARING_SECONDS, formatMessage, conversationPair } = require('./messages');
+const { parseEnvelope, validateEnvelope, serializeEnvelope } = require('./envelopes');
+const { currentSignedPrekey } = require('./prekeys');
+const { getBlockState } = require('./contacts');
+const { deliveryTokenMatches } = require('./sealedSender');
+const { wakeOfflineRecipients } = require('./push');
+const { userDeviceIds, pendingDeliveryLinks } = require('./receipts');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  checkAttachmentRefs,
+  attachmentLinks
+} = require('./attachments');
+
+const MAX_RECIPIENT_DEVICES = 20;
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 128;
+
+// Sealed sends hide the sender inside a SEALED_SENDER envelope. Malformed
+// envelopes are already reported by validateEnvelope.
+const sealedEnvelope = (value) => {
+  const { envelope } = parseEnvelope(value, { allowLegacy: true });
+  if (envelope && envelope.type !== 'SEALED_SENDER') {
+    throw new Error('Sealed messages must use a SEALED_SENDER envelope');
+  }
+  return true;
+};
+
+// Validation middleware
+const validateEnvelopeFields = [
+  body('recipientId')
+    .isUUID()
+    .withMessage('Recipient ID must be a valid UUID'),
+  body('ciphertext')
+    .if(body('ciphertexts').not().exists())
+    .custom(validateEnvelope),
+  // Multi-device: one ciphertext per recipient device
+  body('ciphertexts')
+    .optional()
+    .isArray({ min: 1, max: MAX_RECIPIENT_DEVICES })
+    .withMessage(`Must provide 1-${MAX_RECIPIENT_DEVICES} device ciphertexts`),
+  body('ciphertexts.*.deviceId')
+    .isUUID()
+    .withMessage('Device ID must be a valid UUID'),
+  body('ciphertexts.*.ciphertext')
+    .custom(validateEnvelope),
+  body('messageType')
+    .optional()
+    .isIn(['REGULAR', 'KEY_EXCHANGE', 'PREKEY_REQUEST', 'SENDER_KEY_DISTRIBUTION'])
+    .withMessage('Invalid message type')
+];
+
+// Sealed sends carry only the envelope fields, plus the conversation's
+// disappearing timer: the server cannot look it up without the sender
+const validateSealedMessage = [
+  ...validateEnvelopeFields,
+  body('ciphertext')
+    .if(body('ciphertexts').not().exists())
+    .custom(sealedEnvelope),
+  body('ciphertexts.*.ciphertext')
+    .custom(sealedEnvelope),
+  body('expiresInSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_DISAPPEARING_SECONDS })
+    .withMessage(`Expiry must be between 1 and ${MAX_DISAPPEARING_SECONDS} seconds`)
+];
+
+const validateMessage = [
+  ...validateEnvelopeFields,
+  body('attachmentIds')
+    .optional()
+    .isArray({ max: MAX_ATTACHMENTS_PER_MESSAGE })
+    .withMessage(`At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`),
+  body('attachmentIds.*')
+    .isUUID()
+    .withMessage('Attachment IDs must be valid UUIDs'),
+  body('replyToId')
+    .optional()
+    .isUUID()
+    .withMessage('Reply target must be a valid UUID'),
+  // Idempotency key, reused by the client when it retries the same send
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_CLIENT_MESSAGE_ID_LENGTH })
+    .withMessage(`Client message ID must be 1-${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`)
+];
+
+// Run validation chains against a payload that did not arrive over HTTP.
+// Returns the same error list as validationResult(req).array().
+const validatePayload = async (chains, payload) => {
+  const req = { body: payload && typeof payload === 'object' ? payload : {} };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+};
+
+// A reply must point at a message between the same two users
+const replyTargetExists = async (client, replyToId, senderId, recipientId) => Boolean(
+  await client.message.findFirst({
+    where: {
+      id: replyToId,
+      groupId: null,
+      OR: [
+        { senderId, recipientId },
+        { senderId: recipientId, recipientId: senderId }
+      ]
+    },
+    select: { id: true }
+  })
+);
+
+// Expiry for a new 1:1 message under the conversation's disappearing timer
+const getMessageExpiry = async (client, senderId, recipientId) => {
+  const setting = await client.conversationSetting.findUnique({
+    where: { userAId_userBId: conversationPair(senderId, recipientId) }
+  });
+
+  if (!setting?.disappearingSeconds) {
+    return null;
+  }
+  return new Date(Date.now() + setting.disappearingSeconds * 1000);
+};
+
+const messageInclude = {
+  sender: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  attachments: { select: { attachmentId: true } }
+};
+
+const createMessage = (client, { attachmentIds = [], pendingDeviceIds = [], ...data }) => client.message.create({
+  data: {
+    ...data,
+    attachments: attachmentLinks(attachmentIds),
+    pendingDeliveries: pendingDeliveryLinks(pendingDeviceIds)
+  },
+  include: messageInclude
+});
+
+// One row per copy: a single ciphertext for the user as a whole, or one per
+// recipient device. Resolves to { copies } or { error: { status, body } }.
+const buildCopies = async (client, recipientId, { ciphertext, ciphertexts }, shared) => {
+  // A user-wide copy stays pending on each device until that device confirms it
+  if (!ciphertexts) {
+    const devicesByUser = await userDeviceIds(client, [recipientId]);
+    return {
+      copies: [{
+        ...shared,
+        ciphertext: serializeEnvelope(ciphertext),
+        pendingDeviceIds: devicesByUser.get(recipientId)
+      }]
+    };
+  }
+
+  // The sender must address exactly the recipient's reachable devices
+  const recipientDevices = await client.device.findMany({
+    where: { userId: recipientId, prekeys: { some: currentSignedPrekey } },
+    select: { id: true }
+  });
+  const expectedIds = new Set(recipientDevices.map(device => device.id));
+  const providedIds = ciphertexts.map(entry => entry.deviceId);
+
+  if (new Set(providedIds).size !== providedIds.length) {
+    return { error: { status: 400, body: { error: 'Duplicate device ciphertexts' } } };
+  }
+
+  const missingDevices = [...expectedIds].filter(id => !providedIds.includes(id));
+  const extraDevices = providedIds.filter(id => !expectedIds.has(id));
+
+  if (missingDevices.length > 0 || extraDevices.length > 0) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'Recipient device list mismatch',
+          missingDevices,
+          extraDevices
+        }
+      }
+    };
+  }
+
+  // The first copy stands for the whole send in the sender's history
+  return {
+    copies: ciphertexts.map((entry, index) => ({
+      ...shared,
+      recipientDeviceId: entry.deviceId,
+      ciphertext: serializeEnvelope(entry.ciphertext),
+      primaryCopy: index === 0
+    }))
+  };
+};
+
+// Deliver each device copy to its own device only
+const relayMessages = (io, recipientId, messages) => {
+  if (!io) {
+    return;
+  }
+  for (const message of messages) {
+    const room = message.recipientDeviceId
+      ? `device_${message.recipientDeviceId}`
+      : `user_${recipientId}`;
+    io.to(room).emit('new_message', formatMessage(message));
+  }
+};
+
+// Response body for a stored send: one message, or one per recipient device
+const sendResult = (messages, extra = {}) => {
+  if (messages.length === 1 && !messages[0].recipientDeviceId) {
+    return {
+      message: 'Message sent successfully',
+      messageId: messages[0].id,
+      delivered: false, // Will be updated when recipient comes online
+      createdAt: messages[0].createdAt,
+      ...extra
+    };
+  }
+
+  return {
+    message: 'Message sent successfully',
+    messages: messages.map(message => ({
+      deviceId: message.recipientDeviceId,
+      messageId: message.id
+    })),
+    delivered: false,
+    createdAt: messages[0].createdAt,
+    ...extra
+  };
+};
+
+// The original result of a send that used this idempotency key
+const replaySend = async (client, senderId, clientMessageId) => {
+  const messages = await client.message.findMany({
+    where: { senderId, clientMessageId },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (messages.length === 0) {
+    // Key was used, but its messages have since expired or been deleted
+    return {
+      status: 409,
+      body: { error: 'Client message ID already used' }
+    };
+  }
+
+  return {
+    status: 200,
+    body: sendResult(messages, { duplicate: true })
+  };
+};
+
+// Store and relay a validated send. Resolves to { status, body } so REST
+// and socket callers can shape their own responses.
+const sendDirectMessage = async (client, io, senderId, payload) => {
+  const {
+    recipientId,
+    messageType = 'REGULAR',
+    attachmentIds = [],
+    clientMessageId = null,
+    replyToId = null
+  } = payload;
+
+  // Retried send: hand back what the first attempt stored
+  if (clientMessageId) {
+    const used = await client.idempotencyKey.findUnique({
+      where: { userId_key: { userId: senderId, key: clientMessageId } }
+    });
+    if (used) {
+      return replaySend(client, senderId, clientMessageId);
+    }
+  }
+
+  // Verify recipient exists
+  const recipient = await client.user.findUnique({
+    where: { id: recipientId },
+    select: { id: true, username: true }
+  });
+
+  if (!recipient) {
+    return { status: 404, body: { error: 'Recipient not found' } };
+  }
+
+  // Prevent sending to self
+  if (senderId === recipientId) {
+    return { status: 400, body: { error: 'Cannot send message to yourself' } };
+  }
+
+  // Senders never learn that the recipient blocked them
+  const blockState = await getBlockState(client, senderId, recipientId);
+  if (blockState === 'blocked') {
+    return { status: 404, body: { error: 'Recipient not found' } };
+  }
+  if (blockState === 'blocking') {
+    return { status: 403, body: { error: 'You have blocked this user' } };
+  }
+
+  const attachmentError = await checkAttachmentRefs(client, senderId, attachmentIds);
+  if (attachmentError) {
+    return { status: 400, body: { error: attachmentError } };
+  }
+
+  if (replyToId && !await replyTargetExists(client, replyToId, senderId, recipientId)) {
+    return { status: 400, body: { error: 'Reply target not found in this conversation' } };
+  }
+
+  const expiresAt = await getMessageExpiry(client, senderId, recipientId);
+  const shared = { senderId, recipientId, messageType, expiresAt, attachmentIds, clientMessageId, replyToId };
+
+  const { copies, error } = await buildCopies(client, recipientId, payload, shared);
+  if (error) {
+    return error;
+  }
+
+  // The key is claimed in the same transaction, so of two concurrent
+  // retries only one stores messages
+  let messages;
+  try {
+    const results = await client.$transaction([
+      ...(clientMessageId
+        ? [client.idempotencyKey.create({ data: { userId: senderId, key: clientMessageId } })]
+        : []),
+      ...copies.map(copy => createMessage(client, copy))
+    ]);
+    messages = clientMessageId ? results.slice(1) : results;
+  } catch (error) {
+    if (clientMessageId && error.code === 'P2002') {
+      return replaySend(client, senderId, clientMessageId);
+    }
+    throw error;
+  }
+
+  relayMessages(io, recipientId, messages);
+  wakeOfflineRecipients(client, io, messages);
+
+  return { status: 201, body: sendResult(messages) };
+};
+
+// Store and relay a sealed send. The sender is unknown to the server: the
+// delivery token stands in for authentication and no sender is recorded.
+// Unknown recipients and wrong tokens look the same.
+const sendSealedMessage = async (client, io, deliveryToken, payload) => {
+  const { recipientId, messageType = 'REGULAR', expiresInSeconds } = payload;
+
+  const recipient = await client.user.findUnique({
+    where: { id: recipientId },
+    select: { id: true, deliveryTokenHash: true }
+  });
+
+  if (!recipient || !deliveryTokenMatches(deliveryToken, recipient.deliveryTokenHash)) {
+    return { status: 401, body: { error: 'Invalid delivery token' } };
+  }
+
+  const expiresAt = expiresInSeconds
+    ? new Date(Date.now() + parseInt(expiresInSeconds) * 1000)
+    : null;
+  const shared = { senderId: null, sealed: true, recipientId, messageType, expiresAt };
+  const { copies, error } = await buildCopies(client, recipientId, payload, shared);
+  if (error) {
+    return error;
+  }
+
+  const messages = await client.$transaction(
+    copies.map(copy => createMessage(client, copy))
+  );
+
+  relayMessages(io, recipientId, messages);
+  wakeOfflineRecipients(client, io, messages);
+
+  return { status: 201, body: sendResult(messages) };
+};
+
+module.exports = {
+  validateMessage,
+  validateSealedMessage,
+  validatePayload,
+  sendDirectMessage,
+  sendSealedMessage
+};
@@ -0,0 +1,221 @@
+// Versioned envelope every message ciphertext is stored in:
+//   { version, type, header: { ... }, body }
+// `body` is the base64 encrypted payload; `header` carries the fields the
+// recipient needs to decrypt it, checked strictly against the type's
+// schema. Envelopes are stored as canonical JSON in Message.ciphertext.
+
+const ENVELOPE_VERSION = 1;
+const SUPPORTED_VERSIONS = [ENVELOPE_VERSION];
+
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const MAX_ID_LENGTH = 128;
+const MAX_KEY_LENGTH = 256;
+const MAX_COUNTER = 2 ** 31 - 1;
+
+// Largest decoded body accepted per messageType, and for reactions
+const MAX_BODY_BYTES = {
+  REGULAR: 64 * 1024,
+  KEY_EXCHANGE: 8 * 1024,
+  PREKEY_REQUEST: 4 * 1024,
+  SENDER_KEY_DISTRIBUTION: 8 * 1024,
+  REACTION: 1024
+};
+
+// Header field checks; each returns an error message or null
+const fieldTypes = {
+  id: (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH
+    ? null
+    : `must be a string of 1-${MAX_ID_LENGTH} characters`,
+  counter: (value) => Number.isInteger(value) && value >= 0 && value <= MAX_COUNTER
+    ? null
+    : 'must be a non-negative integer',
+  key: (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_KEY_LENGTH && BASE64.test(value)
+    ? null
+    : 'must be base64'
+};
+
+const sessionHeader = {
+  senderId: { type: 'id' },
+  sessionId: { type: 'id' },
+  messageNumber: { type: 'counter' },
+  nonce: { type: 'key' },
+  authTag: { type: 'key' },
+  senderIdentityKey: { type: 'key', optional: true },
+  senderEphemeralKey: { type: 'key', optional: true },
+  receiverOneTimePrekeyId: { type: 'counter', optional: true }
+};
+
+// Header schema per envelope type. LEGACY wraps rows stored before
+// envelopes existed and is only ever produced by the migration.
+const ENVELOPE_TYPES = {
+  SIGNAL_MESSAGE: sessionHeader,
+  PREKEY_MESSAGE: {
+    ...sessionHeader,
+    senderIdentityKey: { type: 'key' },
+    senderEphemeralKey: { type: 'key' }
+  },
+  SENDER_KEY_MESSAGE: {
+    senderId: { type: 'id' },
+    distributionId: { type: 'id' },
+    iteration: { type: 'counter' },
+    nonce: { type: 'key' },
+    authTag: { type: 'key' }
+  },
+  SENDER_KEY_DISTRIBUTION: {
+    distributionId: { type: 'id' }
+  },
+  KEY_EXCHANGE: {},
+  SEALED_SENDER: {
+    ephemeralKey: { type: 'key' }
+  },
+  LEGACY: {}
+};
+
+const decodedLength = (base64) => base64.length / 4 * 3 - (base64.match(/=*$/)[0].length);
+
+// Accepts the envelope as an object or a JSON string
+const toObject = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check an envelope against the schema. Returns { envelope } normalised,
+// or { error } describing the first problem. `messageType` selects the
+// body size limit; `allowLegacy` is for the migration only.
+const parseEnvelope = (value, { messageType = 'REGULAR', allowLegacy = false } = {}) => {
+  const envelope = toObject(value);
+  if (!isPlainObject(envelope)) {
+    return { error: 'Ciphertext must be a message envelope' };
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(envelope.version)) {
+    return {
+      error: `Unsupported envelope version ${JSON.stringify(envelope.version ?? null)}; ` +
+        `supported versions: ${SUPPORTED_VERSIONS.join(', ')}`
+    };
+  }
+
+  const extra = Object.keys(envelope).find(key => !['version', 'type', 'header', 'body'].includes(key));
+  if (extra) {
+    return { error: `Unknown envelope field "${extra}"` };
+  }
+
+  const schema = hasOwn(ENVELOPE_TYPES, envelope.type) ? ENVELOPE_TYPES[envelope.type] : null;
+  if (!schema || (envelope.type === 'LEGACY' && !allowLegacy)) {
+    return { error: `Unknown envelope type ${JSON.stringify(envelope.type ?? null)}` };
+  }
+
+  const header = envelope.header ?? {};
+  if (!isPlainObject(header)) {
+    return { error: 'Envelope header must be an object' };
+  }
+
+  const unknownField = Object.keys(header).find(name => !hasOwn(schema, name));
+  if (unknownField) {
+    return { error: `Unknown header field "${unknownField}" for ${envelope.type}` };
+  }
+
+  // Rebuild the header in schema order, dropping absent optional fields
+  const normalised = {};
+  for (const [name, field] of Object.entries(schema)) {
+    if (header[name] === undefined || header[name] === null) {
+      if (!field.optional) {
+        return { error: `Header field "${name}" is required for ${envelope.type}` };
+      }
+      continue;
+    }
+    const problem = fieldTypes[field.type](header[name]);
+    if (problem) {
+      return { error: `Header field "${name}" ${problem}` };
+    }
+    normalised[name] = header[name];
+  }
+
+  if (typeof envelope.body !== 'string' || !envelope.body || !BASE64.test(envelope.body)) {
+    return { error: 'Envelope body must be non-empty base64' };
+  }
+
+  const maxBytes = MAX_BODY_BYTES[messageType] ?? MAX_BODY_BYTES.REGULAR;
+  if (!allowLegacy && decodedLength(envelope.body) > maxBytes) {
+    return { error: `Envelope body exceeds ${maxBytes} bytes for ${messageType} messages` };
+  }
+
+  return {
+    envelope: {
+      version: envelope.version,
+      type: envelope.type,
+      header: normalised,
+      body: envelope.body
+    }
+  };
+};
+
+// express-validator check for ciphertext fields; the size limit follows
+// the request's messageType
+const validateEnvelope = (value, { req }) => {
+  const { error } = parseEnvelope(value, { messageType: req.body.messageType });
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+};
+
+// Canonical string stored in Message.ciphertext. Expects a value that
+// already passed validateEnvelope.
+const serializeEnvelope = (value) => JSON.stringify(parseEnvelope(value, { allowLegacy: true }).envelope);
+
+// Envelope for a ciphertext stored before envelopes existed, or null when
+// it already is one. The client's old JSON format maps onto SIGNAL_MESSAGE
+// and PREKEY_MESSAGE; anything else is kept byte for byte as LEGACY.
+const upgradeStoredCiphertext = (stored) => {
+  if (parseEnvelope(stored, { allowLegacy: true }).envelope) {
+    return null;
+  }
+
+  const old = toObject(stored);
+  if (isPlainObject(old) && isPlainObject(old.header)) {
+    const { isPrekeyMessage, version, ...header } = old.header;
+    const { envelope } = parseEnvelope({
+      version: ENVELOPE_VERSION,
+      type: isPrekeyMessage ? 'PREKEY_MESSAGE' : 'SIGNAL_MESSAGE',
+      header: {
+        ...header,
+        senderIdentityKey: header.senderIdentityKey || undefined,
+        senderEphemeralKey: header.senderEphemeralKey || undefined,
+        nonce: old.nonce,
+        authTag: old.authTag
+      },
+      body: old.ciphertext
+    }, { allowLegacy: true });
+    if (envelope) {
+      return JSON.stringify(envelope);
+    }
+  }
+
+  return JSON.stringify({
+    version: ENVELOPE_VERSION,
+    type: 'LEGACY',
+    header: {},
+    body: Buffer.from(String(stored), 'utf8').toString('base64')
+  });
+};
+
+module.exports = {
+  ENVELOPE_VERSION,
+  ENVELOPE_TYPES,
+  MAX_BODY_BYTES,
+  parseEnvelope,
+  validateEnvelope,
+  serializeEnvelope,
+  upgradeStoredCiphertext
+};
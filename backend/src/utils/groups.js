@@ -0,0 +1,26 @@
+// Group membership helpers
+
+// Promote the longest-standing member when a group is left without an admin,
+// and drop the group once nobody is left
+const ensureGroupAdmin = async (tx, groupId) => {
+  const remaining = await tx.groupMember.findMany({
+    where: { groupId },
+    orderBy: { joinedAt: 'asc' }
+  });
+
+  if (remaining.length === 0) {
+    await tx.group.delete({ where: { id: groupId } });
+    return;
+  }
+
+  if (!remaining.some(member => member.role === 'ADMIN')) {
+    await tx.groupMember.update({
+      where: { id: remaining[0].id },
+      data: { role: 'ADMIN' }
+    });
+  }
+};
+
+module.exports = {
+  ensureGroupAdmin
+};
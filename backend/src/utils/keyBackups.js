@@ -0,0 +1,125 @@
+// Versioned, client-encrypted key backups. The server stores opaque
+// ciphertext plus the KDF parameters the client needs to re-derive its key,
+// and limits downloads so a stolen token cannot feed an offline passphrase
+// search indefinitely: going past the limit locks the account.
+
+const { revokeUserSessions } = require('./sessions');
+
+// Versions kept per user; older ones are pruned on upload
+const KEY_BACKUP_MAX_VERSIONS = parseInt(process.env.KEY_BACKUP_MAX_VERSIONS) || 10;
+// Downloads allowed before the account locks. Only verifying the
+// registration lock PIN or resetting the password restores the allowance.
+const KEY_BACKUP_MAX_DOWNLOADS = parseInt(process.env.KEY_BACKUP_MAX_DOWNLOADS) || 10;
+// Tries at a free version number before an upload gives up
+const KEY_BACKUP_STORE_ATTEMPTS = 5;
+
+const backupSummary = {
+  version: true,
+  salt: true,
+  kdf: true,
+  deviceId: true,
+  createdAt: true
+};
+
+// Move a backup stored before versioning into version 1
+const migrateLegacyBackup = async (client, userId) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { keyBackup: true, keyBackupSalt: true }
+  });
+
+  if (!user?.keyBackup) {
+    return;
+  }
+
+  try {
+    await client.$transaction([
+      client.keyBackup.create({
+        data: { userId, version: 1, ciphertext: user.keyBackup, salt: user.keyBackupSalt }
+      }),
+      client.user.update({
+        where: { id: userId },
+        data: { keyBackup: null, keyBackupSalt: null }
+      })
+    ]);
+  } catch (error) {
+    // A concurrent request migrated it first
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+};
+
+// Store a new version and prune old ones. Resolves to the version.
+// Concurrent uploads can pick the same version; the loser retries.
+const storeKeyBackup = async (client, userId, { ciphertext, salt, kdf, deviceId }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.$transaction(async (tx) => {
+        const latest = await tx.keyBackup.findFirst({
+          where: { userId },
+          orderBy: { version: 'desc' },
+          select: { version: true }
+        });
+        const version = (latest?.version ?? 0) + 1;
+
+        await tx.keyBackup.create({
+          data: { userId, version, ciphertext, salt, kdf, deviceId }
+        });
+        await tx.keyBackup.deleteMany({
+          where: { userId, version: { lte: version - KEY_BACKUP_MAX_VERSIONS } }
+        });
+        return version;
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt === KEY_BACKUP_STORE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Count one download against the allowance. Resolves to the downloads
+// left afterwards, or null once the allowance is used up.
+const claimBackupDownload = async (client, userId) => {
+  const { count } = await client.user.updateMany({
+    where: { id: userId, keyBackupDownloads: { lt: KEY_BACKUP_MAX_DOWNLOADS } },
+    data: { keyBackupDownloads: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const { keyBackupDownloads } = await client.user.findUnique({
+    where: { id: userId },
+    select: { keyBackupDownloads: true }
+  });
+  return KEY_BACKUP_MAX_DOWNLOADS - keyBackupDownloads;
+};
+
+// Lock the account and revoke every session; logging in stays refused
+// until a password reset. Resolves to the revoked session IDs.
+const lockAccount = async (client, userId) => {
+  await client.user.update({
+    where: { id: userId },
+    data: { accountLockedAt: new Date() }
+  });
+  return revokeUserSessions(client, userId);
+};
+
+// Restore the full download allowance after a PIN or recovery step
+const resetBackupDownloads = (client, userId) => client.user.update({
+  where: { id: userId },
+  data: { keyBackupDownloads: 0 }
+});
+
+module.exports = {
+  KEY_BACKUP_MAX_DOWNLOADS,
+  backupSummary,
+  migrateLegacyBackup,
+  storeKeyBackup,
+  claimBackupDownload,
+  lockAccount,
+  resetBackupDownloads
+};
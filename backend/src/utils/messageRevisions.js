@@ -0,0 +1,201 @@
+// Sender-side edits and delete-for-everyone, shared by the REST routes and
+// the `edit_message` / `delete_message` socket events. Both act on message
+// copies (the IDs a send returned), replace them in place and flag them
+// `revisionPending` (user-wide copies get a pending delivery per device
+// again) so recipients that already fetched them get them again through
+// the offline queue until they confirm delivery.
+
+const { body } = require('express-validator');
+const { formatMessage } = require('./messages');
+const { validateEnvelope, serializeEnvelope } = require('./envelopes');
+const { pendingDeliveryRows } = require('./receipts');
+
+const MESSAGE_EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 24 * 60 * 60 * 1000;
+const MESSAGE_DELETE_WINDOW_MS = parseInt(process.env.MESSAGE_DELETE_WINDOW_MS) || 48 * 60 * 60 * 1000;
+// Most copies one request may revise; a group send has one per member
+const MAX_REVISION_BATCH = 100;
+
+// Validation middleware
+const validateEdit = [
+  body('edits')
+    .isArray({ min: 1, max: MAX_REVISION_BATCH })
+    .withMessage(`Must provide 1-${MAX_REVISION_BATCH} edits`),
+  body('edits.*.messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID'),
+  body('edits.*.ciphertext')
+    .custom(validateEnvelope)
+];
+
+const validateDelete = [
+  body('messageIds')
+    .isArray({ min: 1, max: MAX_REVISION_BATCH })
+    .withMessage(`Must provide 1-${MAX_REVISION_BATCH} message IDs`),
+  body('messageIds.*')
+    .isUUID()
+    .withMessage('Message IDs must be valid UUIDs')
+];
+
+const messageInclude = {
+  sender: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  attachments: { select: { attachmentId: true } }
+};
+
+// Load the sender's copies and check they may still be revised. Resolves
+// to { messages } or { error: { status, body } }; nothing is changed
+// unless every copy passes.
+const loadRevisable = async (client, senderId, messageIds, { windowMs, action }) => {
+  const ids = [...new Set(messageIds)];
+  const messages = await client.message.findMany({
+    where: { id: { in: ids }, senderId }
+  });
+
+  const missing = ids.filter(id => !messages.some(message => message.id === id));
+  if (missing.length > 0) {
+    return { error: { status: 404, body: { error: 'Message not found', messageIds: missing } } };
+  }
+
+  if (messages.some(message => message.messageType !== 'REGULAR')) {
+    return { error: { status: 400, body: { error: `Only regular messages can be ${action}` } } };
+  }
+
+  const cutoff = Date.now() - windowMs;
+  if (messages.some(message => new Date(message.createdAt).getTime() < cutoff)) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: `Messages can no longer be ${action}`,
+          windowSeconds: Math.floor(windowMs / 1000)
+        }
+      }
+    };
+  }
+
+  return { messages };
+};
+
+// Send each revised copy to the device or user it was addressed to
+const relayRevisions = (io, event, messages) => {
+  if (!io) {
+    return;
+  }
+  for (const message of messages) {
+    const room = message.recipientDeviceId
+      ? `device_${message.recipientDeviceId}`
+      : `user_${message.recipientId}`;
+    io.to(room).emit(event, formatMessage(message));
+  }
+};
+
+// Replace the ciphertext of each copy with its encrypted edit
+const editMessages = async (client, io, senderId, edits) => {
+  const messageIds = edits.map(edit => edit.messageId);
+  if (new Set(messageIds).size !== messageIds.length) {
+    return { status: 400, body: { error: 'Duplicate message IDs' } };
+  }
+
+  const { messages, error } = await loadRevisable(client, senderId, messageIds, {
+    windowMs: MESSAGE_EDIT_WINDOW_MS,
+    action: 'edited'
+  });
+  if (error) {
+    return error;
+  }
+
+  if (messages.some(message => message.deletedAt)) {
+    return { status: 409, body: { error: 'Deleted messages cannot be edited' } };
+  }
+
+  const editedAt = new Date();
+  const pendingRows = await pendingDeliveryRows(client, messages);
+  let edited;
+  try {
+    const results = await client.$transaction([
+      ...edits.map(edit => client.message.update({
+        // A delete that landed in the meantime wins
+        where: { id: edit.messageId, deletedAt: null },
+        data: {
+          ciphertext: serializeEnvelope(edit.ciphertext),
+          editCount: { increment: 1 },
+          editedAt,
+          revisionPending: true
+        },
+        include: messageInclude
+      })),
+      client.pendingDelivery.createMany({ data: pendingRows, skipDuplicates: true })
+    ]);
+    edited = results.slice(0, edits.length);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return { status: 409, body: { error: 'Deleted messages cannot be edited' } };
+    }
+    throw error;
+  }
+
+  relayRevisions(io, 'message_edited', edited);
+
+  return {
+    status: 200,
+    body: {
+      message: 'Message edited',
+      messages: edited.map(message => ({ messageId: message.id, editCount: message.editCount })),
+      editedAt
+    }
+  };
+};
+
+// Tombstone each copy: the ciphertext, attachment links and reactions are
+// dropped and only the row remains. Deleting a tombstone again changes nothing.
+const deleteMessages = async (client, io, senderId, messageIds) => {
+  const { messages, error } = await loadRevisable(client, senderId, messageIds, {
+    windowMs: MESSAGE_DELETE_WINDOW_MS,
+    action: 'deleted'
+  });
+  if (error) {
+    return error;
+  }
+
+  const ids = messages.filter(message => !message.deletedAt).map(message => message.id);
+  const deletedAt = new Date();
+
+  if (ids.length > 0) {
+    const pendingRows = await pendingDeliveryRows(client, messages.filter(message => ids.includes(message.id)));
+    await client.$transaction([
+      client.messageAttachment.deleteMany({ where: { messageId: { in: ids } } }),
+      client.reaction.deleteMany({ where: { messageId: { in: ids } } }),
+      client.message.updateMany({
+        where: { id: { in: ids }, deletedAt: null },
+        data: { ciphertext: null, deletedAt, revisionPending: true }
+      }),
+      client.pendingDelivery.createMany({ data: pendingRows, skipDuplicates: true })
+    ]);
+
+    const deleted = await client.message.findMany({
+      where: { id: { in: ids } },
+      include: messageInclude
+    });
+    relayRevisions(io, 'message_deleted', deleted);
+  }
+
+  return {
+    status: 200,
+    body: {
+      message: 'Message deleted',
+      messageIds: messages.map(message => message.id),
+      deletedAt
+    }
+  };
+};
+
+module.exports = {
+  validateEdit,
+  validateDelete,
+  editMessages,
+  deleteMessages
+};
@@ -0,0 +1,122 @@
+// Shared shape for messages sent to clients over REST and Socket.IO
+
+// Longest disappearing-message timer, for conversation timers and the
+// expiry sealed senders pass along
+const MAX_DISAPPEARING_SECONDS = 4 * 7 * 24 * 60 * 60; // 4 weeks
+
+// Expects the message to include `sender: { username }` and, optionally,
+// `attachments: [{ attachmentId }]`. Sealed messages have no sender; it is
+// inside the envelope. Deleted messages have no ciphertext.
+const formatMessage = (message) => ({
+  id: message.id,
+  senderId: message.senderId,
+  senderUsername: message.sender?.username ?? null,
+  sealed: Boolean(message.sealed),
+  recipientId: message.recipientId,
+  recipientDeviceId: message.recipientDeviceId,
+  groupId: message.groupId,
+  replyToId: message.replyToId ?? null,
+  ciphertext: message.ciphertext,
+  messageType: message.messageType,
+  status: message.status,
+  deliveredAt: message.deliveredAt,
+  readAt: message.readAt,
+  attachmentIds: (message.attachments || []).map(link => link.attachmentId),
+  editCount: message.editCount ?? 0,
+  editedAt: message.editedAt ?? null,
+  deletedAt: message.deletedAt ?? null,
+  createdAt: message.createdAt,
+  expiresAt: message.expiresAt
+});
+
+// 1:1 conversation settings are stored once per pair, lower user ID first
+const conversationPair = (userId, otherUserId) => {
+  const [userAId, userBId] = [userId, otherUserId].sort();
+  return { userAId, userBId };
+};
+
+// Filter for messages whose disappearing timer has not run out yet; the
+// sweeper may not have deleted expired rows at read time
+const notExpired = () => ({
+  OR: [
+    { expiresAt: null },
+    { expiresAt: { gt: new Date() } }
+  ]
+});
+
+// Copies a device can decrypt: user-wide messages and its own device copies
+const deviceCopies = (device) => ({
+  OR: [
+    { recipientDeviceId: null },
+    { recipientDeviceId: device.id }
+  ]
+});
+
+// Opaque paging cursors over (createdAt, id). IDs break ties between
+// messages stored in the same millisecond.
+const encodeCursor = (message) => Buffer
+  .from(JSON.stringify([message.createdAt.toISOString(), message.id]))
+  .toString('base64url');
+
+// Returns { createdAt, id }, or null for a malformed cursor
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (typeof id !== 'string' || typeof createdAt !== 'string' || isNaN(date)) {
+      return null;
+    }
+    return { createdAt: date, id };
+  } catch (e) {
+    return null;
+  }
+};
+
+// express-validator check for cursor query parameters
+const validateCursor = (value) => {
+  if (!decodeCursor(value)) {
+    throw new Error('Invalid cursor');
+  }
+  return true;
+};
+
+// Filter for messages strictly after (or before) a cursor position
+const afterCursor = (cursor) => {
+  const { createdAt, id } = decodeCursor(cursor);
+  return {
+    OR: [
+      { createdAt: { gt: createdAt } },
+      { createdAt, id: { gt: id } }
+    ]
+  };
+};
+
+const beforeCursor = (cursor) => {
+  const { createdAt, id } = decodeCursor(cursor);
+  return {
+    OR: [
+      { createdAt: { lt: createdAt } },
+      { createdAt, id: { lt: id } }
+    ]
+  };
+};
+
+// Matching sort order for cursor pages
+const cursorOrder = (direction) => [
+  { createdAt: direction },
+  { id: direction }
+];
+
+module.exports = {
+  MAX_DISAPPEARING_SECONDS,
+  formatMessage,
+  conversationPair,
+  notExpired,
+  deviceCopies,
+  encodeCursor,
+  decodeCursor,
+  validateCursor,
+  afterCursor,
+  beforeCursor,
+  cursorOrder
+};
@@ -0,0 +1,98 @@
+// Per-conversation mutes. A mute belongs to one user and covers either a
+// 1:1 conversation ({ peerId }) or a group ({ groupId }); muted
+// conversations still queue messages but never trigger a push.
+
+const { body } = require('express-validator');
+
+// Validation middleware; `until` is optional, no end means muted until unmuted
+const validateMute = [
+  body('muted')
+    .isBoolean({ strict: true })
+    .withMessage('Muted must be true or false'),
+  body('until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Until must be an ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Until must be in the future');
+      }
+      return true;
+    })
+];
+
+// Mutes that have not run out yet
+const activeMute = (now = new Date()) => ({
+  OR: [{ mutedUntil: null }, { mutedUntil: { gt: now } }]
+});
+
+const muteKey = (userId, target) => target.groupId
+  ? { userId_groupId: { userId, groupId: target.groupId } }
+  : { userId_peerId: { userId, peerId: target.peerId } };
+
+const getMute = async (client, userId, target) => {
+  const mute = await client.conversationMute.findFirst({
+    where: { userId, ...target, ...activeMute() }
+  });
+  return { muted: Boolean(mute), mutedUntil: mute?.mutedUntil || null };
+};
+
+// Mute or unmute the conversation; the user's other devices follow along
+const setMute = async (client, io, userId, target, { muted, until = null }) => {
+  const mutedUntil = muted && until ? new Date(until) : null;
+
+  if (muted) {
+    await client.conversationMute.upsert({
+      where: muteKey(userId, target),
+      update: { mutedUntil },
+      create: { userId, ...target, mutedUntil }
+    });
+  } else {
+    await client.conversationMute.deleteMany({ where: { userId, ...target } });
+  }
+
+  const state = { ...target, muted, mutedUntil };
+  if (io) {
+    io.to(`user_${userId}`).emit('conversation_mute_changed', state);
+  }
+  return state;
+};
+
+// The messages whose recipient muted the conversation they belong to:
+// the group for group copies, the sender for 1:1 copies
+const filterMuted = async (client, messages) => {
+  const senderIds = [...new Set(messages.filter(m => !m.groupId && m.senderId).map(m => m.senderId))];
+  const groupIds = [...new Set(messages.filter(m => m.groupId).map(m => m.groupId))];
+  if (senderIds.length === 0 && groupIds.length === 0) {
+    return [];
+  }
+
+  const mutes = await client.conversationMute.findMany({
+    where: {
+      userId: { in: [...new Set(messages.map(m => m.recipientId))] },
+      AND: [
+        {
+          OR: [
+            ...(senderIds.length > 0 ? [{ peerId: { in: senderIds } }] : []),
+            ...(groupIds.length > 0 ? [{ groupId: { in: groupIds } }] : [])
+          ]
+        },
+        activeMute()
+      ]
+    },
+    select: { userId: true, peerId: true, groupId: true }
+  });
+
+  return messages.filter(message => mutes.some(mute => mute.userId === message.recipientId && (
+    message.groupId
+      ? mute.groupId === message.groupId
+      : Boolean(message.senderId) && mute.peerId === message.senderId
+  )));
+};
+
+module.exports = {
+  validateMute,
+  getMute,
+  setMute,
+  filterMuted
+};
@@ -0,0 +1,95 @@
+// Signed prekey validation and rotation helpers
+
+const { SIGNATURE_LENGTH, verifyXEdDSA } = require('./xeddsa');
+
+// X25519 public keys; prekey signatures are 64-byte XEdDSA signatures
+const PUBLIC_KEY_LENGTH = 32;
+
+const SIGNED_PREKEY_GRACE_PERIOD_MS = parseInt(process.env.SIGNED_PREKEY_GRACE_PERIOD_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const OTP_LOW_THRESHOLD = parseInt(process.env.OTP_LOW_THRESHOLD) || 10;
+
+// Check a signed prekey bundle: the prekey must be an X25519 public key and
+// the signature an XEdDSA signature of its raw bytes by the device's
+// identity key. Returns a list of { field, reason } problems.
+const checkSignedPrekey = ({ signedPrekey, prekeySignature }, identityPubkey) => {
+  const prekey = Buffer.from(signedPrekey, 'base64');
+  const signature = Buffer.from(prekeySignature, 'base64');
+
+  if (prekey.length !== PUBLIC_KEY_LENGTH) {
+    return [{ field: 'signedPrekey', reason: `must decode to ${PUBLIC_KEY_LENGTH} bytes` }];
+  }
+  if (signature.length !== SIGNATURE_LENGTH) {
+    return [{ field: 'prekeySignature', reason: `must decode to ${SIGNATURE_LENGTH} bytes` }];
+  }
+  if (!verifyXEdDSA(Buffer.from(identityPubkey, 'base64'), prekey, signature)) {
+    return [{ field: 'prekeySignature', reason: 'does not verify against the device identity key' }];
+  }
+
+  return [];
+};
+
+// Filter for a device's current (not yet superseded) signed prekey
+const currentSignedPrekey = { supersededAt: null };
+
+// Filter for signed prekeys peers may still start sessions against:
+// the current one plus superseded ones inside their grace window
+const validSignedPrekeys = () => ({
+  OR: [
+    { supersededAt: null },
+    { expiresAt: { gt: new Date() } }
+  ]
+});
+
+// Make a new signed prekey current for a device. The previous one is kept in
+// the history and stays valid until the grace period runs out.
+const rotateSignedPrekey = async (tx, { userId, deviceId, signedPrekey, prekeySignature, keyId }) => {
+  const now = new Date();
+
+  await tx.prekey.updateMany({
+    where: { deviceId, ...currentSignedPrekey },
+    data: {
+      supersededAt: now,
+      expiresAt: new Date(now.getTime() + SIGNED_PREKEY_GRACE_PERIOD_MS)
+    }
+  });
+
+  return tx.prekey.create({
+    data: {
+      userId,
+      deviceId,
+      signedPrekey,
+      prekeySignature,
+      keyId
+    }
+  });
+};
+
+// Atomically claim and delete a device's oldest one-time prekey. Rows locked
+// by a concurrent claim are skipped, so each key goes to at most one
+// requester and a lost race moves on to the next key. Returns null when the
+// pool is empty.
+const claimOneTimePrekey = async (client, deviceId) => {
+  const [claimed] = await client.$queryRaw`
+    DELETE FROM one_time_prekeys
+    WHERE id = (
+      SELECT id FROM one_time_prekeys
+      WHERE "deviceId" = ${deviceId}
+      ORDER BY "createdAt" ASC, "keyId" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "keyId", pubkey
+  `;
+
+  return claimed || null;
+};
+
+module.exports = {
+  SIGNED_PREKEY_GRACE_PERIOD_MS,
+  OTP_LOW_THRESHOLD,
+  checkSignedPrekey,
+  currentSignedPrekey,
+  validSignedPrekeys,
+  rotateSignedPrekey,
+  claimOneTimePrekey
+};
@@ -0,0 +1,95 @@
+// Wake-up pushes for message recipients whose devices are offline. A ping
+// carries nothing about the message; the app wakes, connects and fetches
+// its offline queue. Muted conversations never ping.
+
+const { getPushProvider, PushTokenInvalidError } = require('../services/pushProvider');
+const { filterMuted } = require('./mutes');
+
+const PUSH_MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS) || 3;
+const PUSH_RETRY_DELAY_MS = parseInt(process.env.PUSH_RETRY_DELAY_MS) || 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether the device has a socket open on any instance. If the cluster
+// does not answer, treat it as offline so it still gets woken.
+const isDeviceConnected = async (io, deviceId) => {
+  try {
+    const sockets = await io.in(`device_${deviceId}`).fetchSockets();
+    return sockets.length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Send one ping, retrying transient failures with exponential backoff.
+// A token the provider rejects is deleted instead.
+const sendPing = async (client, pushToken) => {
+  const provider = getPushProvider();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await provider.send({ platform: pushToken.platform, token: pushToken.token });
+      return true;
+    } catch (error) {
+      if (error instanceof PushTokenInvalidError) {
+        // Only if the device has not registered a new token meanwhile
+        await client.pushToken.deleteMany({ where: { id: pushToken.id, token: pushToken.token } });
+        return false;
+      }
+      if (attempt >= PUSH_MAX_ATTEMPTS) {
+        console.error(`Push to device ${pushToken.deviceId} failed after ${attempt} attempts:`, error.message);
+        return false;
+      }
+      await sleep(PUSH_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Ping every offline device that was sent one of these message copies:
+// the addressed device for device copies, all of the recipient's devices
+// otherwise. Each device gets at most one ping per call.
+const notifyOfflineRecipients = async (client, io, messages) => {
+  const muted = await filterMuted(client, messages);
+  const unmuted = messages.filter(message => !muted.includes(message));
+
+  const deviceIds = new Set();
+  const userIds = new Set();
+  for (const message of unmuted) {
+    if (message.recipientDeviceId) {
+      deviceIds.add(message.recipientDeviceId);
+    } else {
+      userIds.add(message.recipientId);
+    }
+  }
+  if (deviceIds.size === 0 && userIds.size === 0) {
+    return;
+  }
+
+  const pushTokens = await client.pushToken.findMany({
+    where: {
+      OR: [
+        { deviceId: { in: [...deviceIds] } },
+        { userId: { in: [...userIds] } }
+      ]
+    }
+  });
+
+  await Promise.all(pushTokens.map(async (pushToken) => {
+    if (io && await isDeviceConnected(io, pushToken.deviceId)) {
+      return;
+    }
+    await sendPing(client, pushToken);
+  }));
+};
+
+// For send paths: the send already succeeded, so push failures are only logged
+const wakeOfflineRecipients = (client, io, messages) => {
+  notifyOfflineRecipients(client, io, messages).catch((error) => {
+    console.error('Push notification error:', error);
+  });
+};
+
+module.exports = {
+  notifyOfflineRecipients,
+  wakeOfflineRecipients
+};
@@ -0,0 +1,122 @@
+// Message reactions: one small encrypted payload per user per message. The
+// emoji is inside the envelope, so the server can only count reactions.
+// The sender and recipient of a message copy may react to it.
+
+const { body } = require('express-validator');
+const { parseEnvelope, serializeEnvelope } = require('./envelopes');
+const { getBlockState } = require('./contacts');
+
+// Validation middleware; reactions get their own envelope size limit
+const validateReaction = [
+  body('ciphertext')
+    .custom((value) => {
+      const { error } = parseEnvelope(value, { messageType: 'REACTION' });
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+];
+
+const reactionSummary = {
+  userId: true,
+  ciphertext: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// The message if the user is its sender or recipient and it has not
+// expired. Resolves to { message } or { error: { status, body } }.
+const findParticipantMessage = async (client, userId, messageId) => {
+  const message = await client.message.findUnique({ where: { id: messageId } });
+
+  if (!message ||
+      (message.senderId !== userId && message.recipientId !== userId) ||
+      (message.expiresAt && message.expiresAt <= new Date())) {
+    return { error: { status: 404, body: { error: 'Message not found' } } };
+  }
+  return { message };
+};
+
+// Participant check plus the rules for changing reactions
+const findReactableMessage = async (client, userId, messageId) => {
+  const { message, error } = await findParticipantMessage(client, userId, messageId);
+  if (error) {
+    return { error };
+  }
+
+  // The sender of a sealed message is unknown, so nobody could be told
+  if (!message.senderId) {
+    return { error: { status: 400, body: { error: 'Sealed messages cannot be reacted to' } } };
+  }
+  if (message.messageType !== 'REGULAR') {
+    return { error: { status: 400, body: { error: 'Only regular messages can be reacted to' } } };
+  }
+  if (message.deletedAt) {
+    return { error: { status: 409, body: { error: 'Deleted messages cannot be reacted to' } } };
+  }
+
+  const otherUserId = message.senderId === userId ? message.recipientId : message.senderId;
+  const blockState = await getBlockState(client, userId, otherUserId);
+  if (blockState === 'blocked') {
+    return { error: { status: 404, body: { error: 'Message not found' } } };
+  }
+  if (blockState === 'blocking') {
+    return { error: { status: 403, body: { error: 'You have blocked this user' } } };
+  }
+
+  return { message };
+};
+
+// Both parties, on all their devices, see reaction changes
+const emitToParticipants = (io, message, event, data) => {
+  if (!io) {
+    return;
+  }
+  const rooms = [message.senderId, message.recipientId].filter(Boolean).map(id => `user_${id}`);
+  io.to(rooms).emit(event, data);
+};
+
+// Add the user's reaction, or replace the one they already left
+const setReaction = async (client, io, userId, messageId, ciphertext) => {
+  const { message, error } = await findReactableMessage(client, userId, messageId);
+  if (error) {
+    return error;
+  }
+
+  const serialized = serializeEnvelope(ciphertext);
+  const reaction = await client.reaction.upsert({
+    where: { messageId_userId: { messageId, userId } },
+    update: { ciphertext: serialized },
+    create: { messageId, userId, ciphertext: serialized },
+    select: reactionSummary
+  });
+
+  emitToParticipants(io, message, 'reaction_added', { messageId, ...reaction });
+
+  return { status: 200, body: { message: 'Reaction saved', reaction } };
+};
+
+const removeReaction = async (client, io, userId, messageId) => {
+  const { message, error } = await findParticipantMessage(client, userId, messageId);
+  if (error) {
+    return error;
+  }
+
+  const { count } = await client.reaction.deleteMany({ where: { messageId, userId } });
+  if (count === 0) {
+    return { status: 404, body: { error: 'Reaction not found' } };
+  }
+
+  emitToParticipants(io, message, 'reaction_removed', { messageId, userId });
+
+  return { status: 200, body: { message: 'Reaction removed' } };
+};
+
+module.exports = {
+  validateReaction,
+  reactionSummary,
+  findParticipantMessage,
+  setReaction,
+  removeReaction
+};
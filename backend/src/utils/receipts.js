@@ -0,0 +1,183 @@
+// Message receipt state machine: SENT -> DELIVERED -> READ. States only
+// move forward, and each transition stamps its time once.
+
+const { deviceCopies } = require('./messages');
+
+// Most message IDs a single delivery confirmation may carry
+const RECEIPT_BATCH_MAX = 100;
+
+// User-wide copies (no recipientDeviceId) are delivered per device: each of
+// the recipient's devices gets a pending delivery when the copy is stored or
+// revised, and clears its own on confirmation.
+
+// Device IDs per user, for every user in `userIds`
+const userDeviceIds = async (client, userIds) => {
+  const devices = await client.device.findMany({
+    where: { userId: { in: userIds } },
+    select: { id: true, userId: true }
+  });
+
+  const byUser = new Map(userIds.map(userId => [userId, []]));
+  for (const device of devices) {
+    byUser.get(device.userId).push(device.id);
+  }
+  return byUser;
+};
+
+// Nested create for a new message's pending deliveries
+const pendingDeliveryLinks = (deviceIds) => ({
+  create: deviceIds.map(deviceId => ({ deviceId }))
+});
+
+// Rows that make revised user-wide copies pending again on every device
+const pendingDeliveryRows = async (client, messages) => {
+  const userWide = messages.filter(message => !message.recipientDeviceId);
+  if (userWide.length === 0) {
+    return [];
+  }
+
+  const byUser = await userDeviceIds(client, [...new Set(userWide.map(message => message.recipientId))]);
+  return userWide.flatMap(message => byUser.get(message.recipientId)
+    .map(deviceId => ({ messageId: message.id, deviceId })));
+};
+
+// Copies a device has yet to confirm: its own copies while SENT or revised,
+// and user-wide copies it still has a pending delivery for. User-wide
+// copies stored before per-device tracking stay pending while SENT.
+const pendingForDevice = (device) => ({
+  OR: [
+    {
+      recipientDeviceId: device.id,
+      OR: [{ status: 'SENT' }, { revisionPending: true }]
+    },
+    {
+      recipientDeviceId: null,
+      OR: [
+        { pendingDeliveries: { some: { deviceId: device.id } } },
+        { status: 'SENT', pendingDeliveries: { none: {} } }
+      ]
+    }
+  ]
+});
+
+// Mark messages addressed to a device as delivered. `where` narrows the
+// candidates (IDs, conversation, ...). Also confirms pending edits and
+// deletions, which leaves the status alone. Resolves to the messages that
+// moved to DELIVERED.
+const markDelivered = async (client, recipientId, device, where) => {
+  await client.pendingDelivery.deleteMany({
+    where: {
+      deviceId: device.id,
+      message: { recipientId, AND: [where] }
+    }
+  });
+
+  await client.message.updateMany({
+    where: {
+      recipientId,
+      revisionPending: true,
+      AND: [where, deviceCopies(device)]
+    },
+    data: { revisionPending: false }
+  });
+
+  const messages = await client.message.findMany({
+    where: {
+      recipientId,
+      status: 'SENT',
+      AND: [where, deviceCopies(device)]
+    },
+    select: { id: true, senderId: true }
+  });
+
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  await client.message.updateMany({
+    where: { id: { in: messages.map(message => message.id) }, status: 'SENT' },
+    data: { status: 'DELIVERED', deliveredAt: new Date() }
+  });
+  return messages;
+};
+
+// Mark messages as read. Reading on one device reads every copy the user
+// was sent, and implies delivery for copies still marked SENT.
+const markRead = async (client, recipientId, where) => {
+  const messages = await client.message.findMany({
+    where: {
+      recipientId,
+      status: { not: 'READ' },
+      AND: [where]
+    },
+    select: { id: true, senderId: true }
+  });
+
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  const ids = messages.map(message => message.id);
+  const now = new Date();
+  await client.$transaction([
+    client.message.updateMany({
+      where: { id: { in: ids }, deliveredAt: null },
+      data: { deliveredAt: now }
+    }),
+    client.message.updateMany({
+      where: { id: { in: ids }, status: { not: 'READ' } },
+      data: { status: 'READ', readAt: now }
+    })
+  ]);
+  return messages;
+};
+
+// Messages up to and including `message` in (createdAt, id) order
+const upToMessage = (message) => ({
+  OR: [
+    { createdAt: { lt: message.createdAt } },
+    { createdAt: message.createdAt, id: { lte: message.id } }
+  ]
+});
+
+// One `message_receipts` event per sender, however many messages changed.
+// Sealed senders are unknown here; recipients send them receipts end-to-end.
+const notifyReceipts = (io, status, readerId, deviceId, messages) => {
+  if (!io || messages.length === 0) {
+    return;
+  }
+
+  const bySender = new Map();
+  for (const message of messages) {
+    if (!message.senderId) {
+      continue;
+    }
+    if (!bySender.has(message.senderId)) {
+      bySender.set(message.senderId, []);
+    }
+    bySender.get(message.senderId).push(message.id);
+  }
+
+  const at = new Date();
+  for (const [senderId, messageIds] of bySender) {
+    io.to(`user_${senderId}`).emit('message_receipts', {
+      status,
+      messageIds,
+      userId: readerId,
+      deviceId,
+      at
+    });
+  }
+};
+
+module.exports = {
+  RECEIPT_BATCH_MAX,
+  userDeviceIds,
+  pendingDeliveryLinks,
+  pendingDeliveryRows,
+  pendingForDevice,
+  markDelivered,
+  markRead,
+  upToMessage,
+  notifyReceipts
+};
@@ -0,0 +1,25 @@
+// Redis connection helper for the cluster bus and shared presence
+
+// Connects immediately; node-redis queues commands until the socket is ready.
+// `redis` is only required when a Redis-backed component is configured.
+const createRedisClient = (name) => {
+  const { createClient } = require('redis');
+
+  const client = createClient({
+    url: process.env.REDIS_URL || 'redis://localhost:6379'
+  });
+
+  client.on('error', (error) => {
+    console.error(`Redis ${name} error:`, error.message);
+  });
+
+  client.connect().catch((error) => {
+    console.error(`Redis ${name} connection error:`, error.message);
+  });
+
+  return client;
+};
+
+module.exports = {
+  createRedisClient
+};
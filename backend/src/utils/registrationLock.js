@@ -0,0 +1,115 @@
+// Registration lock: an optional PIN that must be presented before the
+// identity key can be rotated or the key backup downloaded, so a stolen
+// access token alone cannot take over the account. Like Signal's, the lock
+// lapses once the account has been inactive for a long time.
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+
+const REGISTRATION_LOCK_INACTIVITY_MS = parseInt(process.env.REGISTRATION_LOCK_INACTIVITY_MS) || 7 * 24 * 60 * 60 * 1000;
+// How long a verified PIN unlocks protected routes for the session
+const REGISTRATION_LOCK_MAX_AGE_MS = parseInt(process.env.REGISTRATION_LOCK_MAX_AGE_MS) || 5 * 60 * 1000;
+// Wrong guesses allowed before the verifier locks, and for how long
+const PIN_MAX_FAILURES = parseInt(process.env.REGISTRATION_LOCK_MAX_FAILURES) || 5;
+const PIN_BLOCK_MS = parseInt(process.env.REGISTRATION_LOCK_BLOCK_MS) || 60 * 60 * 1000;
+
+const validatePin = [
+  body('pin')
+    .isString()
+    .isLength({ min: 4, max: 64 })
+    .withMessage('PIN must be between 4 and 64 characters')
+];
+
+const hashPin = (pin) => bcrypt.hash(pin, 12);
+
+// Most recent sign of life from the account's own clients: a socket
+// connection or a token refresh
+const getLastActivity = async (client, user) => {
+  const [device, session] = await Promise.all([
+    client.device.findFirst({
+      where: { userId: user.id, lastSeenAt: { not: null } },
+      orderBy: { lastSeenAt: 'desc' },
+      select: { lastSeenAt: true }
+    }),
+    client.session.findFirst({
+      where: { userId: user.id },
+      orderBy: { lastUsedAt: 'desc' },
+      select: { lastUsedAt: true }
+    })
+  ]);
+
+  const times = [user.registrationLockSetAt, device?.lastSeenAt, session?.lastUsedAt]
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+  return new Date(Math.max(...times));
+};
+
+// Whether the user's lock is set and has not lapsed through inactivity.
+// Resolves to { active, expiresAt }.
+const getRegistrationLockState = async (client, user) => {
+  if (!user.registrationLockHash) {
+    return { active: false, expiresAt: null };
+  }
+
+  const lastActivity = await getLastActivity(client, user);
+  const expiresAt = new Date(lastActivity.getTime() + REGISTRATION_LOCK_INACTIVITY_MS);
+  return { active: expiresAt > new Date(), expiresAt };
+};
+
+// Check a PIN against the user's lock, counting failures. Resolves to
+// { ok } or { blockedUntil } once too many wrong PINs were tried.
+const verifyPin = async (client, user, pin) => {
+  const now = new Date();
+  if (user.registrationLockBlockedUntil > now) {
+    return { ok: false, blockedUntil: user.registrationLockBlockedUntil };
+  }
+
+  if (await bcrypt.compare(pin, user.registrationLockHash)) {
+    await client.user.update({
+      where: { id: user.id },
+      data: { registrationLockFailures: 0, registrationLockBlockedUntil: null }
+    });
+    return { ok: true };
+  }
+
+  // Atomic increment so parallel guesses all count
+  const { registrationLockFailures } = await client.user.update({
+    where: { id: user.id },
+    data: { registrationLockFailures: { increment: 1 } },
+    select: { registrationLockFailures: true }
+  });
+
+  if (registrationLockFailures >= PIN_MAX_FAILURES) {
+    const blockedUntil = new Date(now.getTime() + PIN_BLOCK_MS);
+    await client.user.update({
+      where: { id: user.id },
+      data: { registrationLockFailures: 0, registrationLockBlockedUntil: blockedUntil }
+    });
+    return { ok: false, blockedUntil };
+  }
+  return { ok: false };
+};
+
+// Whether a protected route may proceed: no active lock, or the session
+// verified the PIN recently
+const registrationLockSatisfied = async (client, userId, session) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { id: true, registrationLockHash: true, registrationLockSetAt: true }
+  });
+
+  const { active } = await getRegistrationLockState(client, user);
+  if (!active) {
+    return true;
+  }
+
+  return Boolean(session?.registrationLockVerifiedAt) &&
+    Date.now() - new Date(session.registrationLockVerifiedAt).getTime() <= REGISTRATION_LOCK_MAX_AGE_MS;
+};
+
+module.exports = {
+  validatePin,
+  hashPin,
+  getRegistrationLockState,
+  verifyPin,
+  registrationLockSatisfied
+};
@@ -0,0 +1,73 @@
+// Sealed sender: senders prove they may message a recipient with a
+// delivery token the recipient handed out (derived client-side from their
+// profile key), and prove who they are to the recipient with a
+// server-signed certificate carried inside the encrypted envelope.
+const crypto = require('crypto');
+
+const SENDER_CERTIFICATE_TTL_MS = parseInt(process.env.SENDER_CERTIFICATE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+const hashDeliveryToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Constant-time check of a presented token against the stored hash
+const deliveryTokenMatches = (token, storedHash) => {
+  if (typeof token !== 'string' || !token || !storedHash) {
+    return false;
+  }
+  const presented = Buffer.from(hashDeliveryToken(token), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+// Ed25519 signing key from SENDER_CERTIFICATE_KEY (base64 PKCS#8 DER).
+// Without it an ephemeral key is generated, so certificates stop verifying
+// after a restart and differ between instances.
+let signingKey = null;
+
+const getSigningKey = () => {
+  if (!signingKey) {
+    if (process.env.SENDER_CERTIFICATE_KEY) {
+      signingKey = crypto.createPrivateKey({
+        key: Buffer.from(process.env.SENDER_CERTIFICATE_KEY, 'base64'),
+        format: 'der',
+        type: 'pkcs8'
+      });
+    } else {
+      console.warn('⚠️  SENDER_CERTIFICATE_KEY not set; using an ephemeral sender certificate key');
+      signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+  }
+  return signingKey;
+};
+
+// Raw 32-byte Ed25519 public key recipients verify certificates with
+const getServerPublicKey = () => {
+  const der = crypto.createPublicKey(getSigningKey()).export({ format: 'der', type: 'spki' });
+  return der.subarray(der.length - 32).toString('base64');
+};
+
+// Certificate binding a sender's user, device and identity key, valid for
+// SENDER_CERTIFICATE_TTL_MS. `certificate` is base64 JSON; `signature` is
+// an Ed25519 signature over its decoded bytes.
+const issueSenderCertificate = (user, device) => {
+  const expiresAt = new Date(Date.now() + SENDER_CERTIFICATE_TTL_MS);
+  const payload = Buffer.from(JSON.stringify({
+    senderId: user.id,
+    senderUsername: user.username,
+    senderDeviceId: device?.id ?? null,
+    identityPubkey: device?.identityPubkey ?? user.identityPubkey,
+    expiresAt: expiresAt.toISOString()
+  }));
+
+  return {
+    certificate: payload.toString('base64'),
+    signature: crypto.sign(null, payload, getSigningKey()).toString('base64'),
+    expiresAt
+  };
+};
+
+module.exports = {
+  hashDeliveryToken,
+  deliveryTokenMatches,
+  getServerPublicKey,
+  issueSenderCertificate
+};
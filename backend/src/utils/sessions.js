@@ -0,0 +1,171 @@
+// Session, access token and refresh token helpers
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Short-lived JWT tied to a session so it stops working once the session is revoked
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Opaque refresh token: "<sessionId>.<secret>"; only the secret's hash is stored
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashSecret(secret)
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const separator = typeof refreshToken === 'string' ? refreshToken.indexOf('.') : -1;
+  if (separator <= 0) {
+    return null;
+  }
+  return {
+    sessionId: refreshToken.slice(0, separator),
+    secretHash: hashSecret(refreshToken.slice(separator + 1))
+  };
+};
+
+const isSessionActive = (session) => {
+  return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+};
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateAccessToken(session.userId, session.id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a new session for a login/registration and return its token pair.
+// `secondFactorAt` is set when the login passed a 2FA check.
+const createSession = async (client, { userId, deviceId, userAgent, ipAddress, secondFactorAt = null }) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(sessionId);
+
+  const session = await client.session.create({
+    data: {
+      id: sessionId,
+      userId,
+      deviceId,
+      refreshTokenHash,
+      userAgent,
+      ipAddress,
+      secondFactorAt,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+
+  return { session, ...issueTokens(session, refreshToken) };
+};
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated refresh token means it leaked, so the whole session is revoked.
+// Returns null when the token cannot be used.
+const rotateRefreshToken = async (client, presentedToken) => {
+  const parsed = parseRefreshToken(presentedToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await client.session.findUnique({
+    where: { id: parsed.sessionId }
+  });
+
+  if (!isSessionActive(session)) {
+    return null;
+  }
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(session.id);
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const { count } = await client.session.updateMany({
+    where: { id: session.id, refreshTokenHash: parsed.secretHash, revokedAt: null },
+    data: { refreshTokenHash, lastUsedAt: new Date() }
+  });
+
+  if (count === 0) {
+    await client.session.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() }
+    });
+    return { reused: true, session };
+  }
+
+  return { session, ...issueTokens(session, refreshToken) };
+};
+
+// Verify an access token and its session. JWT errors propagate to the caller;
+// returns null when the user or session is gone.
+const authenticateAccessToken = async (client, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await client.session.findUnique({
+    where: { id: decoded.sessionId },
+    include: {
+      user: {
+        select: { id: true, username: true, email: true, createdAt: true }
+      }
+    }
+  });
+
+  if (!isSessionActive(session) || session.userId !== decoded.userId) {
+    return null;
+  }
+
+  const { user, ...sessionFields } = session;
+  return { user, session: sessionFields };
+};
+
+// Revoke every active session of a user, optionally keeping one.
+// Resolves to the revoked session IDs.
+const revokeUserSessions = async (client, userId, keepSessionId = null) => {
+  const sessions = await client.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(keepSessionId && { id: { not: keepSessionId } })
+    },
+    select: { id: true }
+  });
+  const sessionIds = sessions.map(session => session.id);
+
+  await client.session.updateMany({
+    where: { id: { in: sessionIds } },
+    data: { revokedAt: new Date() }
+  });
+  return sessionIds;
+};
+
+// Drop live sockets that authenticated with any of these sessions
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) {
+    return;
+  }
+  for (const sessionId of sessionIds) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  authenticateAccessToken,
+  isSessionActive,
+  revokeUserSessions,
+  disconnectSessions
+};
@@ -0,0 +1,193 @@
+// TOTP (RFC 6238) second factor and one-time recovery codes
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { body } = require('express-validator');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Encrypted Chat';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step either side to absorb clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Login challenges and step-up checks
+const CHALLENGE_TTL = '5m';
+const SECOND_FACTOR_MAX_AGE_MS = parseInt(process.env.SECOND_FACTOR_MAX_AGE_MS) || 5 * 60 * 1000;
+
+// Either a current TOTP code or one unused recovery code
+const validateSecondFactor = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('A code or recovery code is required')
+];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit shared secret, base32 as authenticator apps expect
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Step the code belongs to, or null. Steps at or before `lastStep` were
+// already used and are rejected so a code cannot be replayed.
+const matchTotpStep = (secret, code, lastStep = null) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let candidate = step - TOTP_WINDOW; candidate <= step + TOTP_WINDOW; candidate++) {
+    if (lastStep !== null && candidate <= lastStep) {
+      continue;
+    }
+    const expected = totpCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Fresh recovery codes for a user, replacing any unused ones. Resolves to
+// the plaintext codes, which are shown to the user once.
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.recoveryCode.deleteMany({ where: { userId } });
+  await client.recoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+  });
+  return codes;
+};
+
+// Check a TOTP code or burn a recovery code for a user with 2FA enabled.
+// Both are single use: the conditional updates mean two requests racing
+// with the same code cannot both succeed.
+const verifySecondFactor = async (client, user, { code, recoveryCode }) => {
+  if (!user.totpEnabledAt) {
+    return false;
+  }
+
+  if (code) {
+    const step = matchTotpStep(user.totpSecret, code, user.totpLastStep);
+    if (step === null) {
+      return false;
+    }
+    const { count } = await client.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }]
+      },
+      data: { totpLastStep: step }
+    });
+    return count > 0;
+  }
+
+  if (recoveryCode) {
+    const { count } = await client.recoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  return false;
+};
+
+// Short-lived token proving the password step of a two-step login. It
+// carries no session, so it is never accepted as an access token.
+const createLoginChallenge = (userId, deviceId) => jwt.sign(
+  { userId, deviceId, purpose: 'login_2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Payload of a valid login challenge, or null
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'login_2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the session proved a second factor recently enough for
+// sensitive operations
+const hasFreshSecondFactor = (session) => Boolean(session?.secondFactorAt) &&
+  Date.now() - new Date(session.secondFactorAt).getTime() <= SECOND_FACTOR_MAX_AGE_MS;
+
+module.exports = {
+  SECOND_FACTOR_MAX_AGE_MS,
+  validateSecondFactor,
+  generateTotpSecret,
+  totpUri,
+  matchTotpStep,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  hasFreshSecondFactor
+};
@@ -0,0 +1,81 @@
+// XEdDSA signature verification (https://signal.org/docs/specifications/xeddsa/).
+// Clients sign with their X25519 identity key; the result is an ordinary
+// Ed25519 signature under the Edwards form of that key with sign bit 0,
+// so Node's Ed25519 verifier checks it once the key is converted.
+
+const crypto = require('crypto');
+
+const P = 2n ** 255n - 19n;
+const KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw key follows
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const modPow = (base, exponent) => {
+  let result = 1n;
+  base %= P;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = result * base % P;
+    }
+    base = base * base % P;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+const fromLittleEndian = (bytes) => [...bytes].reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+const toLittleEndian = (value) => {
+  const bytes = Buffer.alloc(KEY_LENGTH);
+  for (let i = 0; i < KEY_LENGTH; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+};
+
+// Edwards y = (u - 1) / (u + 1) with sign bit 0, or null when the
+// Montgomery u is not canonical or has no Edwards counterpart
+const montgomeryToEdwards = (publicKey) => {
+  // RFC 7748: the top bit of a u-coordinate is ignored
+  const u = fromLittleEndian(publicKey) & ((1n << 255n) - 1n);
+  if (u >= P || u === P - 1n) {
+    return null;
+  }
+
+  const y = (u - 1n + P) % P * modPow(u + 1n, P - 2n) % P;
+  return toLittleEndian(y);
+};
+
+// Whether `signature` is a valid XEdDSA signature of `message` by the
+// X25519 key `publicKey` (all Buffers)
+const verifyXEdDSA = (publicKey, message, signature) => {
+  if (publicKey.length !== KEY_LENGTH || signature.length !== SIGNATURE_LENGTH) {
+    return false;
+  }
+
+  const edwardsKey = montgomeryToEdwards(publicKey);
+  if (!edwardsKey) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, edwardsKey]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, message, key, signature);
+  } catch (error) {
+    // Not a point on the curve
+    return false;
+  }
+};
+
+module.exports = {
+  SIGNATURE_LENGTH,
+  montgomeryToEdwards,
+  verifyXEdDSA
+};
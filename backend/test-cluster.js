@@ -0,0 +1,154 @@
+// Integration test for running several backend instances side by side.
+// Starts two Socket.IO instances in one process, joined by the in-memory
+// bus, and checks that events and presence cross between them.
+// Run with: node test-cluster.js (no database needed)
+
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+
+const SocketService = require('./src/services/socketService');
+const { MemoryBus } = require('./src/services/socketBus');
+const { createBusAdapter } = require('./src/services/socketAdapter');
+const { MemoryPresenceStore } = require('./src/services/presenceStore');
+
+const TIMEOUT_MS = 5000;
+
+// Clients hand over their identity directly; token checks are covered by
+// test-endpoints.js. Everyone is everyone's contact and nobody is blocked.
+const testAuthenticate = (socket, next) => {
+  const { userId, username } = socket.handshake.auth;
+  socket.userId = userId;
+  socket.username = username;
+  socket.deviceId = `${userId}-device`;
+  socket.sessionId = `${userId}-session`;
+  next();
+};
+
+// Registers the instance in `instances` before it starts listening, so the
+// caller can close it even if startup fails
+async function startInstance(instances, bus, presence) {
+  const server = createServer();
+  const io = new Server(server);
+  io.adapter(createBusAdapter(bus));
+  const instance = { io, socketService: null, url: null };
+  instances.push(instance);
+
+  const socketService = new SocketService(io, presence);
+  socketService.authenticateSocket = testAuthenticate;
+  socketService.prisma = {
+    device: { update: async () => ({}) },
+    block: { findMany: async () => [] },
+    contact: {
+      findMany: async () => [{ requesterId: 'alice', addresseeId: 'bob' }]
+    }
+  };
+  socketService.initialize();
+  instance.socketService = socketService;
+
+  await new Promise(resolve => server.listen(0, resolve));
+  instance.url = `http://localhost:${server.address().port}`;
+  return instance;
+}
+
+// Like startInstance, registers the client before waiting on it
+async function connectUser(clients, instance, userId) {
+  const socket = connect(instance.url, {
+    auth: { userId, username: userId },
+    transports: ['websocket']
+  });
+  clients.push(socket);
+  await waitFor(socket, 'connected');
+  return socket;
+}
+
+function waitFor(emitter, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), TIMEOUT_MS);
+    emitter.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+async function testCluster() {
+  const bus = new MemoryBus();
+  const presence = new MemoryPresenceStore();
+  const instances = [];
+  const clients = [];
+  let passed = false;
+
+  try {
+    console.log('🧪 Testing multi-instance Socket.IO...\n');
+
+    const instanceA = await startInstance(instances, bus, presence);
+    const instanceB = await startInstance(instances, bus, presence);
+
+    console.log('1. Connecting alice to instance A and bob to instance B...');
+    const alice = await connectUser(clients, instanceA, 'alice');
+    const bob = await connectUser(clients, instanceB, 'bob');
+    console.log('✅ Both users connected');
+
+    console.log('\n2. Testing typing indicator across instances...');
+    const typing = waitFor(bob, 'user_typing');
+    alice.emit('typing_start', { recipientId: 'bob' });
+    const typingEvent = await typing;
+    if (typingEvent.userId !== 'alice' || !typingEvent.typing) {
+      throw new Error(`Unexpected typing event: ${JSON.stringify(typingEvent)}`);
+    }
+    console.log('✅ Bob saw alice typing:', typingEvent);
+
+    console.log('\n3. Testing route emit from the other instance...');
+    const delivery = waitFor(bob, 'new_message');
+    instanceA.io.to('user_bob').emit('new_message', { id: 'message-1' });
+    const message = await delivery;
+    if (message.id !== 'message-1') {
+      throw new Error(`Unexpected message: ${JSON.stringify(message)}`);
+    }
+    console.log('✅ Bob received message emitted by instance A');
+
+    console.log('\n4. Testing shared presence...');
+    const aliceOnline = await instanceB.socketService.isUserOnline('alice');
+    const onlineCount = await instanceA.socketService.getConnectedUserCount();
+    if (!aliceOnline || onlineCount !== 2) {
+      throw new Error(`Expected alice online and 2 users, got ${aliceOnline} / ${onlineCount}`);
+    }
+    console.log('✅ Instance B sees alice online; 2 users online');
+
+    console.log('\n5. Testing remote disconnect and offline status...');
+    const offline = waitFor(alice, 'user_status_changed');
+    const dropped = waitFor(bob, 'disconnect');
+    instanceA.io.in('session_bob-session').disconnectSockets();
+    await dropped;
+    const status = await offline;
+    if (status.userId !== 'bob' || status.status !== 'offline') {
+      throw new Error(`Unexpected status event: ${JSON.stringify(status)}`);
+    }
+    if (await instanceA.socketService.isUserOnline('bob')) {
+      throw new Error('Bob still online after disconnect');
+    }
+    console.log('✅ Bob dropped by instance A; alice saw bob go offline');
+
+    console.log('\n🎉 All cluster tests passed!');
+    passed = true;
+
+  } catch (error) {
+    console.error('\n❌ Cluster test failed:', error.message);
+  } finally {
+    clients.forEach(client => client.disconnect());
+    // Closing the Socket.IO server also closes its HTTP server; a server
+    // that never started listening reports an error, which is fine here
+    await Promise.all(instances.map(instance => new Promise(resolve => instance.io.close(() => resolve()))));
+    await bus.close();
+  }
+
+  return passed;
+}
+
+// Run tests; exit explicitly so a stray handle cannot hang CI
+if (require.main === module) {
+  testCluster().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { testCluster };
@@ -1,21 +1,79 @@
 // Simple test script to verify backend endpoints
 // Run with: node test-endpoints.js
 
+const crypto = require('crypto');
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000/api';
 
+const P = 2n ** 255n - 19n;
+
+const modPow = (base, exponent) => {
+  let result = 1n;
+  base %= P;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = result * base % P;
+    }
+    base = base * base % P;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+const fromLittleEndian = (bytes) => [...bytes].reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+const toLittleEndian = (value) => {
+  const bytes = Buffer.alloc(32);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+};
+
+const rawPublicKey = (publicKey) => Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+
+// An identity key whose XEdDSA signatures the server can check: an Ed25519
+// key with sign bit 0, published in its X25519 form u = (1 + y) / (1 - y)
+const createIdentity = () => {
+  for (;;) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const edwardsKey = rawPublicKey(publicKey);
+    if (edwardsKey[31] & 0x80) {
+      continue;
+    }
+
+    const y = fromLittleEndian(edwardsKey);
+    const u = (1n + y) * modPow(P + 1n - y, P - 2n) % P;
+    return { privateKey, publicKey: toLittleEndian(u) };
+  }
+};
+
+const createX25519Key = () => rawPublicKey(crypto.generateKeyPairSync('x25519').publicKey);
+
+// Fixed vector signed by the client's XEdDSA.sign with a fixed nonce
+// (frontend/test/xeddsa_test.dart checks the client reproduces it)
+const xeddsaVector = {
+  identityPubkey: 'p+YEVGJjVRzUzey0r/XSZp5vkc5+U3oAcQLqwFQfVU8=',
+  signedPrekey: 'e/Mmc4iQ3fT5+Oi/oxvDJ0QfwEpNrHaAPsY9rlJUZTk=',
+  signature: 'r+mveHhn5m8t7DXda40vlX83CQYsR7jgetige2WOfMj/H55M8qnxUa2t3yav6kTlzh14rLoopvZyUnxqSzv0AQ==',
+  // The same signature with one bit of s flipped
+  tamperedSignature: 'r+mveHhn5m8t7DXda40vlX83CQYsR7jgetige2WOfMj/H55M8qnxUayt3yav6kTlzh14rLoopvZyUnxqSzv0AQ=='
+};
+
 // Test data
 const testUser = {
   username: 'testuser1',
   email: 'test1@example.com',
   password: 'testpassword123',
-  identityPubkey: 'dGVzdF9pZGVudGl0eV9wdWJrZXk=' // base64 encoded "test_identity_pubkey"
+  identityPubkey: xeddsaVector.identityPubkey
 };
 
+// Signed prekey carries the identity key's 64-byte signature
 const testPrekeys = {
-  signedPrekey: 'dGVzdF9zaWduZWRfcHJla2V5', // base64 encoded "test_signed_prekey"
-  prekeySignature: 'dGVzdF9zaWduYXR1cmU=', // base64 encoded "test_signature"
+  signedPrekey: xeddsaVector.signedPrekey,
+  prekeySignature: xeddsaVector.signature,
   keyId: 1,
   oneTimePrekeys: [
     'dGVzdF9vdHBfMQ==', // base64 encoded "test_otp_1"
@@ -67,11 +125,77 @@ async function testEndpoints() {
     const prekeyResponse = await axios.post(`${BASE_URL}/prekeys/upload`, testPrekeys, { headers: authHeaders });
     console.log('✅ Prekeys uploaded:', prekeyResponse.data);
 
+    // Test tampered prekey bundle is rejected
+    console.log('\n5b. Testing tampered prekey upload...');
+    try {
+      await axios.post(`${BASE_URL}/prekeys/upload`, {
+        ...testPrekeys,
+        // Well-formed key and signature, but the signature covers another key
+        signedPrekey: createX25519Key().toString('base64')
+      }, { headers: authHeaders });
+      throw new Error('Tampered prekey bundle was accepted');
+    } catch (error) {
+      if (error.response?.status !== 400) {
+        throw error;
+      }
+      console.log('✅ Tampered bundle rejected:', error.response.data);
+    }
+
+    try {
+      await axios.post(`${BASE_URL}/prekeys/upload`, {
+        ...testPrekeys,
+        prekeySignature: xeddsaVector.tamperedSignature
+      }, { headers: authHeaders });
+      throw new Error('Tampered prekey signature was accepted');
+    } catch (error) {
+      if (error.response?.status !== 400) {
+        throw error;
+      }
+      console.log('✅ Tampered signature rejected:', error.response.data);
+    }
+
     // Test prekey fetch
     console.log('\n6. Testing prekey fetch...');
     const fetchPrekeyResponse = await axios.get(`${BASE_URL}/prekeys/${userId}`, { headers: authHeaders });
     console.log('✅ Prekey bundle fetched:', fetchPrekeyResponse.data);
 
+    // Test concurrent bundle fetches by several users never hand out the
+    // same one-time prekey, and every claimed key leaves the pool
+    console.log('\n6b. Testing concurrent prekey fetches...');
+    const fetchers = [];
+    for (let i = 1; i <= 4; i++) {
+      const fetcherResponse = await axios.post(`${BASE_URL}/auth/register`, {
+        username: `testfetcher${i}`,
+        email: `fetcher${i}@example.com`,
+        password: testUser.password,
+        identityPubkey: createIdentity().publicKey.toString('base64')
+      });
+      fetchers.push({ 'Authorization': `Bearer ${fetcherResponse.data.token}` });
+    }
+
+    const countBefore = await axios.get(`${BASE_URL}/prekeys/count/mine`, { headers: authHeaders });
+    const concurrentFetches = await Promise.all(
+      fetchers.map(headers => axios.get(`${BASE_URL}/prekeys/${userId}`, { headers }))
+    );
+    const countAfter = await axios.get(`${BASE_URL}/prekeys/count/mine`, { headers: authHeaders });
+
+    const claimedKeyIds = concurrentFetches
+      .map(response => response.data.oneTimePrekey?.keyId)
+      .filter(keyId => keyId !== undefined);
+    if (new Set(claimedKeyIds).size !== claimedKeyIds.length) {
+      throw new Error(`One-time prekey handed out twice: ${claimedKeyIds.join(', ')}`);
+    }
+    const before = countBefore.data.oneTimePrekeys;
+    const left = countAfter.data.oneTimePrekeys;
+    if (claimedKeyIds.length !== before - left) {
+      throw new Error(`Claimed ${claimedKeyIds.length} one-time prekeys but ${before - left} left the pool`);
+    }
+    // Fetchers beyond the pool size fall back to 3-DH
+    if (claimedKeyIds.length !== Math.min(fetchers.length, before)) {
+      throw new Error(`Expected ${Math.min(fetchers.length, before)} one-time prekeys, got ${claimedKeyIds.length}`);
+    }
+    console.log('✅ No duplicate one-time prekeys:', claimedKeyIds, `(${left} left)`);
+
     // Test user profile
     console.log('\n7. Testing user profile...');
     const profileResponse = await axios.get(`${BASE_URL}/users/me`, { headers: authHeaders });
@@ -81,10 +205,40 @@ async function testEndpoints() {
     console.log('\n8. Testing message sending...');
     const messageResponse = await axios.post(`${BASE_URL}/messages/send`, {
       recipientId: userId,
-      ciphertext: 'dGVzdF9lbmNyeXB0ZWRfbWVzc2FnZQ==' // base64 encoded "test_encrypted_message"
+      messageType: 'KEY_EXCHANGE',
+      ciphertext: {
+        version: 1,
+        type: 'KEY_EXCHANGE',
+        header: {},
+        body: 'dGVzdF9lbmNyeXB0ZWRfbWVzc2FnZQ==' // base64 encoded "test_encrypted_message"
+      }
     }, { headers: authHeaders });
     console.log('✅ Message sent:', messageResponse.data);
 
+    // Test a new device needs the registration lock PIN
+    console.log('\n9. Testing device registration behind the registration lock...');
+    const testPin = '2468';
+    await axios.put(`${BASE_URL}/auth/registration-lock`, {
+      password: testUser.password,
+      pin: testPin
+    }, { headers: authHeaders });
+    const newDevice = {
+      name: 'laptop',
+      identityPubkey: createIdentity().publicKey.toString('base64')
+    };
+    try {
+      await axios.post(`${BASE_URL}/devices`, newDevice, { headers: authHeaders });
+      throw new Error('Device registered without the registration lock PIN');
+    } catch (error) {
+      if (error.response?.status !== 403 || !error.response.data.registrationLockRequired) {
+        throw error;
+      }
+      console.log('✅ Device registration without PIN rejected:', error.response.data);
+    }
+    await axios.post(`${BASE_URL}/auth/registration-lock/verify`, { pin: testPin }, { headers: authHeaders });
+    const deviceResponse = await axios.post(`${BASE_URL}/devices`, newDevice, { headers: authHeaders });
+    console.log('✅ Device registered after PIN verification:', deviceResponse.data.device);
+
     console.log('\n🎉 All tests passed! Backend is working correctly.');
 
   } catch (error) {
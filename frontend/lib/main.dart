@@ -85,11 +85,13 @@ class _AuthWrapperState extends State<AuthWrapper> {
   void _initializeSocket() {
     final authService = context.read<AuthService>();
     final socketService = context.read<SocketService>();
+    final apiService = context.read<ApiService>();
     
     if (authService.isAuthenticated && !socketService.isConnected) {
       socketService.connect(
         serverUrl: AppConstants.socketUrl,
-        authToken: authService.authToken ?? '',
+        authToken: () => apiService.authToken,
+        refreshAuth: apiService.refreshSession,
       );
     }
   }
@@ -24,6 +24,8 @@ class Message {
   final DateTime? deliveredAt;
   final DateTime? acknowledgedAt;
   final bool isFromMe;
+  final String? replyToId;
+  final int reactionCount;
 
   const Message({
     required this.id,
@@ -37,6 +39,8 @@ class Message {
     this.deliveredAt,
     this.acknowledgedAt,
     required this.isFromMe,
+    this.replyToId,
+    this.reactionCount = 0,
   });
 
   factory Message.fromJson(Map<String, dynamic> json, String currentUserId) {
@@ -53,10 +57,12 @@ class Message {
       deliveredAt: json['deliveredAt'] != null
           ? DateTime.parse(json['deliveredAt'] as String)
           : null,
-      acknowledgedAt: json['acknowledgedAt'] != null
-          ? DateTime.parse(json['acknowledgedAt'] as String)
+      acknowledgedAt: (json['readAt'] ?? json['acknowledgedAt']) != null
+          ? DateTime.parse((json['readAt'] ?? json['acknowledgedAt']) as String)
           : null,
       isFromMe: (json['senderId'] as String?) == currentUserId,
+      replyToId: json['replyToId'] as String?,
+      reactionCount: (json['reactionCount'] as num?)?.toInt() ?? 0,
     );
   }
 
@@ -71,7 +77,18 @@ class Message {
     }
   }
 
+  // Receipt state from the server (SENT / DELIVERED / READ); cached
+  // messages from older builds still carry the boolean flags
   static MessageStatus _parseMessageStatus(Map<String, dynamic> json) {
+    switch (json['status'] as String?) {
+      case 'READ':
+        return MessageStatus.acknowledged;
+      case 'DELIVERED':
+        return MessageStatus.delivered;
+      case 'SENT':
+        return MessageStatus.sent;
+    }
+
     if (json['acknowledged'] == true) {
       return MessageStatus.acknowledged;
     } else if (json['delivered'] == true) {
@@ -91,6 +108,8 @@ class Message {
       'createdAt': createdAt.toIso8601String(),
       'deliveredAt': deliveredAt?.toIso8601String(),
       'acknowledgedAt': acknowledgedAt?.toIso8601String(),
+      'replyToId': replyToId,
+      'reactionCount': reactionCount,
     };
   }
 
@@ -117,6 +136,8 @@ class Message {
     DateTime? deliveredAt,
     DateTime? acknowledgedAt,
     bool? isFromMe,
+    String? replyToId,
+    int? reactionCount,
   }) {
     return Message(
       id: id ?? this.id,
@@ -130,6 +151,8 @@ class Message {
       deliveredAt: deliveredAt ?? this.deliveredAt,
       acknowledgedAt: acknowledgedAt ?? this.acknowledgedAt,
       isFromMe: isFromMe ?? this.isFromMe,
+      replyToId: replyToId ?? this.replyToId,
+      reactionCount: reactionCount ?? this.reactionCount,
     );
   }
 
@@ -18,13 +18,19 @@ class ApiException implements Exception {
 class AuthResponse {
   final User user;
   final String token;
+  final String refreshToken;
 
-  const AuthResponse({required this.user, required this.token});
+  const AuthResponse({
+    required this.user,
+    required this.token,
+    required this.refreshToken,
+  });
 
   factory AuthResponse.fromJson(Map<String, dynamic> json) {
     return AuthResponse(
       user: User.fromJson(json['user']),
       token: json['token'],
+      refreshToken: json['refreshToken'],
     );
   }
 }
@@ -32,7 +38,12 @@ class AuthResponse {
 class ApiService {
   static const String baseUrl = 'http://192.168.1.105:3000/api';
   String? _authToken;
+  String? _refreshToken;
   User? _currentUser;
+  Future<bool>? _refreshing;
+
+  // Called with the new token pair after every refresh so it can be persisted
+  void Function(String token, String refreshToken)? onTokensRefreshed;
 
   // Getters
   String? get authToken => _authToken;
@@ -40,17 +51,72 @@ class ApiService {
   bool get isAuthenticated => _authToken != null && _currentUser != null;
 
   // Set authentication
-  void setAuth(String token, User user) {
+  void setAuth(String token, User user, {String? refreshToken}) {
     _authToken = token;
     _currentUser = user;
+    if (refreshToken != null) {
+      _refreshToken = refreshToken;
+    }
   }
 
   // Clear authentication
   void clearAuth() {
     _authToken = null;
+    _refreshToken = null;
     _currentUser = null;
   }
 
+  // Exchange the refresh token for a new token pair. Concurrent callers share
+  // one request: the server revokes the session if a rotated refresh token
+  // is presented twice.
+  Future<bool> refreshSession() {
+    return _refreshing ??= _refreshTokens().whenComplete(() => _refreshing = null);
+  }
+
+  Future<bool> _refreshTokens() async {
+    final refreshToken = _refreshToken;
+    if (refreshToken == null) return false;
+
+    try {
+      final response = await http.post(
+        Uri.parse('$baseUrl/auth/refresh'),
+        headers: {'Content-Type': 'application/json'},
+        body: json.encode({'refreshToken': refreshToken}),
+      );
+
+      if (response.statusCode == 401) {
+        // Expired, revoked or reused: the user has to sign in again
+        _refreshToken = null;
+        return false;
+      }
+
+      final data = _handleResponse(response);
+      _authToken = data['token'];
+      _refreshToken = data['refreshToken'];
+      onTokensRefreshed?.call(_authToken!, _refreshToken!);
+      return true;
+    } catch (e) {
+      print('Token refresh failed: $e');
+      return false;
+    }
+  }
+
+  // Send an authenticated request. A 401 means the access token expired:
+  // refresh it once and retry with the new one.
+  Future<http.Response> _send(Future<http.Response> Function() request) async {
+    final token = _authToken;
+    final response = await request();
+    if (response.statusCode != 401 || _refreshToken == null) {
+      return response;
+    }
+
+    // Another request may have refreshed the token in the meantime
+    if (_authToken == token && !await refreshSession()) {
+      return response;
+    }
+    return request();
+  }
+
   // HTTP headers with auth
   Map<String, String> get _headers {
     final headers = {
@@ -116,10 +182,10 @@ class ApiService {
   }
 
   Future<User> verifyToken() async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/auth/verify'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     return User.fromJson(data['user']);
@@ -132,7 +198,7 @@ class ApiService {
     required int keyId,
     required List<String> oneTimePrekeys,
   }) async {
-    final response = await http.post(
+    final response = await _send(() => http.post(
       Uri.parse('$baseUrl/prekeys/upload'),
       headers: _headers,
       body: json.encode({
@@ -141,7 +207,7 @@ class ApiService {
         'keyId': keyId,
         'oneTimePrekeys': oneTimePrekeys,
       }),
-    );
+    ));
 
     _handleResponse(response);
   }
@@ -150,20 +216,20 @@ class ApiService {
     if (userId.isEmpty) {
       throw const ApiException('Invalid user id for prekey bundle request');
     }
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/prekeys/$userId'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     return PrekeyBundle.fromJson(data);
   }
 
   Future<Map<String, int>> getPrekeyCount() async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/prekeys/count/mine'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     return {
@@ -172,15 +238,46 @@ class ApiService {
     };
   }
 
+  // The calling device's current signed prekey (keyId, createdAt,
+  // verified), or null when it has none
+  Future<Map<String, dynamic>?> getCurrentSignedPrekey() async {
+    final response = await _send(() => http.get(
+      Uri.parse('$baseUrl/prekeys/count/mine'),
+      headers: _headers,
+    ));
+
+    final data = _handleResponse(response);
+    return data['currentSignedPrekey'] as Map<String, dynamic>?;
+  }
+
+  // Replace the signed prekey only, keeping one-time prekeys
+  Future<void> rotateSignedPrekey({
+    required String signedPrekey,
+    required String prekeySignature,
+    required int keyId,
+  }) async {
+    final response = await _send(() => http.post(
+      Uri.parse('$baseUrl/prekeys/signed/rotate'),
+      headers: _headers,
+      body: json.encode({
+        'signedPrekey': signedPrekey,
+        'prekeySignature': prekeySignature,
+        'keyId': keyId,
+      }),
+    ));
+
+    _handleResponse(response);
+  }
+
   // Upload only additional one-time prekeys
   Future<int> uploadOneTimePrekeys(List<String> oneTimePrekeys) async {
-    final response = await http.post(
+    final response = await _send(() => http.post(
       Uri.parse('$baseUrl/prekeys/otp/bulk'),
       headers: _headers,
       body: json.encode({
         'oneTimePrekeys': oneTimePrekeys,
       }),
-    );
+    ));
 
     final data = _handleResponse(response);
     return (data['startKeyId'] as num?)?.toInt() ?? 0;
@@ -192,7 +289,7 @@ class ApiService {
     required String ciphertext,
     String messageType = 'REGULAR',
   }) async {
-    final response = await http.post(
+    final response = await _send(() => http.post(
       Uri.parse('$baseUrl/messages/send'),
       headers: _headers,
       body: json.encode({
@@ -200,35 +297,57 @@ class ApiService {
         'ciphertext': ciphertext,
         'messageType': messageType,
       }),
-    );
+    ));
 
     final data = _handleResponse(response);
     return data['messageId'];
   }
 
-  Future<List<Message>> getOfflineMessages() async {
+  // Messages this device has not confirmed yet, oldest first. Pass the
+  // returned nextCursor back as `cursor` for the next page.
+  Future<({List<Message> messages, String? nextCursor})> getOfflineMessages({
+    String? cursor,
+    int limit = 50,
+  }) async {
     if (_currentUser == null) throw ApiException('Not authenticated');
-    
-    final response = await http.get(
-      Uri.parse('$baseUrl/messages/offline'),
+
+    final query = cursor != null
+        ? '?limit=$limit&cursor=${Uri.encodeComponent(cursor)}'
+        : '?limit=$limit';
+    final response = await _send(() => http.get(
+      Uri.parse('$baseUrl/messages/offline$query'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     final messages = data['messages'] as List;
-    
-    return messages
-        .map((msg) => Message.fromJson(msg, _currentUser!.id))
-        .toList();
+
+    return (
+      messages: messages
+          .map((msg) => Message.fromJson(msg, _currentUser!.id))
+          .toList(),
+      nextCursor: data['hasMore'] == true ? data['nextCursor'] as String? : null,
+    );
+  }
+
+  // Confirm that messages reached this device (at most 100 IDs per call)
+  Future<void> confirmDelivered(List<String> messageIds) async {
+    final response = await _send(() => http.post(
+      Uri.parse('$baseUrl/messages/delivered'),
+      headers: _headers,
+      body: json.encode({ 'messageIds': messageIds }),
+    ));
+
+    _handleResponse(response);
   }
 
   Future<List<Message>> getConversation(String userId, {int limit = 50}) async {
     if (_currentUser == null) throw ApiException('Not authenticated');
     
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/messages/conversation/$userId?limit=$limit'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     final messages = data['messages'] as List;
@@ -239,20 +358,20 @@ class ApiService {
   }
 
   Future<void> acknowledgeMessage(String messageId) async {
-    final response = await http.patch(
+    final response = await _send(() => http.patch(
       Uri.parse('$baseUrl/messages/$messageId/acknowledge'),
       headers: _headers,
-    );
+    ));
 
     _handleResponse(response);
   }
 
   // User endpoints
   Future<User> getCurrentUser() async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/users/me'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     return User.fromJson(data['user']);
@@ -263,19 +382,19 @@ class ApiService {
     required String backup,
     required String salt,
   }) async {
-    final response = await http.post(
+    final response = await _send(() => http.post(
       Uri.parse('$baseUrl/users/keys/backup'),
       headers: _headers,
       body: json.encode({ 'backup': backup, 'salt': salt }),
-    );
+    ));
     _handleResponse(response);
   }
 
   Future<Map<String, String>?> getKeyBackup() async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/users/keys/backup'),
       headers: _headers,
-    );
+    ));
     if (response.statusCode == 404) return null;
     final data = _handleResponse(response);
     return { 'backup': data['backup'] as String, 'salt': data['salt'] as String? ?? '' };
@@ -283,19 +402,19 @@ class ApiService {
 
   // Rotate identity public key and clear prekeys server-side
   Future<void> rotateIdentity(String identityPubkey) async {
-    final response = await http.post(
+    final response = await _send(() => http.post(
       Uri.parse('$baseUrl/users/identity/rotate'),
       headers: _headers,
       body: json.encode({ 'identityPubkey': identityPubkey }),
-    );
+    ));
     _handleResponse(response);
   }
 
   Future<List<User>> searchUsers(String query) async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/users/search?q=${Uri.encodeComponent(query)}'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     final users = data['users'] as List;
@@ -304,10 +423,10 @@ class ApiService {
   }
 
   Future<User> getUser(String userId) async {
-    final response = await http.get(
+    final response = await _send(() => http.get(
       Uri.parse('$baseUrl/users/$userId'),
       headers: _headers,
-    );
+    ));
 
     final data = _handleResponse(response);
     return User.fromJson(data['user']);
@@ -317,10 +436,10 @@ class ApiService {
     if (_currentUser == null) throw ApiException('Not authenticated');
     
     try {
-      final response = await http.get(
+      final response = await _send(() => http.get(
         Uri.parse('$baseUrl/users/conversations/recent'),
         headers: _headers,
-      );
+      ));
 
       final data = _handleResponse(response);
       final conversations = data['conversations'] as List;
@@ -20,7 +20,13 @@ class AuthService extends ChangeNotifier {
   User? _currentUser;
   String? _errorMessage;
 
-  AuthService(this._apiService, this._storageService);
+  AuthService(this._apiService, this._storageService) {
+    // Keep the stored tokens in step with every refresh
+    _apiService.onTokensRefreshed = (token, refreshToken) {
+      _storageService.saveAuthToken(token);
+      _storageService.saveRefreshToken(refreshToken);
+    };
+  }
 
   // Getters
   AuthState get state => _state;
@@ -42,10 +48,11 @@ class AuthService extends ChangeNotifier {
         return;
       }
 
-      // Verify token with backend
+      // Verify token with backend (an expired access token is refreshed)
+      final refreshToken = await _storageService.getRefreshToken();
       _apiService.setAuth(token, User(
         id: '', username: '', email: '', createdAt: DateTime.now(),
-      ));
+      ), refreshToken: refreshToken);
 
       final user = await _apiService.verifyToken();
       
@@ -58,9 +65,11 @@ class AuthService extends ChangeNotifier {
         await _storageService.saveUserData(user.toJson());
       }
 
-      _apiService.setAuth(token, _currentUser!);
+      _apiService.setAuth(_apiService.authToken!, _currentUser!);
       _setState(AuthState.authenticated);
 
+      await _resignSignedPrekeyIfNeeded();
+
     } catch (e) {
       debugPrint('Auth initialization failed: $e');
       await _clearAuth();
@@ -91,6 +100,7 @@ class AuthService extends ChangeNotifier {
       // Store auth data
       await Future.wait([
         _storageService.saveAuthToken(authResponse.token),
+        _storageService.saveRefreshToken(authResponse.refreshToken),
         _storageService.saveUserData(authResponse.user.toJson()),
         _storageService.saveIdentityKeyPair(
           privateKey: identityKeys['privateKey']!,
@@ -100,7 +110,11 @@ class AuthService extends ChangeNotifier {
 
       // Set authenticated state first so API calls include auth token
       _currentUser = authResponse.user;
-      _apiService.setAuth(authResponse.token, _currentUser!);
+      _apiService.setAuth(
+        authResponse.token,
+        _currentUser!,
+        refreshToken: authResponse.refreshToken,
+      );
       
       // Generate and upload prekeys (now with proper auth)
       await _generateAndUploadPrekeys();
@@ -137,6 +151,7 @@ class AuthService extends ChangeNotifier {
       // Store auth data
       await Future.wait([
         _storageService.saveAuthToken(authResponse.token),
+        _storageService.saveRefreshToken(authResponse.refreshToken),
         _storageService.saveUserData(authResponse.user.toJson()),
       ]);
 
@@ -149,7 +164,11 @@ class AuthService extends ChangeNotifier {
 
       // Set authenticated state
       _currentUser = authResponse.user;
-      _apiService.setAuth(authResponse.token, _currentUser!);
+      _apiService.setAuth(
+        authResponse.token,
+        _currentUser!,
+        refreshToken: authResponse.refreshToken,
+      );
       _setState(AuthState.authenticated);
 
       // Try to restore existing key material from server backup if local is empty
@@ -176,6 +195,8 @@ class AuthService extends ChangeNotifier {
         await _generateAndUploadPrekeys();
       }
 
+      await _resignSignedPrekeyIfNeeded();
+
       // Refresh backup on successful login so restore works after data loss
       try {
         final blob = await _storageService.exportAllSensitiveData();
@@ -257,6 +278,46 @@ class AuthService extends ChangeNotifier {
     }
   }
 
+  // Builds before XEdDSA signed prekeys with an HMAC, which the server no
+  // longer serves. Re-sign the stored key under a new key ID and rotate it
+  // in, keeping the same key pair so existing sessions are unaffected.
+  Future<void> _resignSignedPrekeyIfNeeded() async {
+    try {
+      final current = await _apiService.getCurrentSignedPrekey();
+      if (current != null && current['verified'] == true) {
+        return;
+      }
+
+      final identityKeys = await _storageService.getIdentityKeyPair();
+      final signedPrekey = await _storageService.getSignedPrekeyPair();
+      if (identityKeys == null || signedPrekey == null) {
+        return;
+      }
+
+      final storedKeyId = signedPrekey['keyId'] as int;
+      final serverKeyId = (current?['keyId'] as num?)?.toInt() ?? 0;
+      final keyId = (storedKeyId > serverKeyId ? storedKeyId : serverKeyId) + 1;
+
+      await _apiService.rotateSignedPrekey(
+        signedPrekey: signedPrekey['publicKey']!,
+        prekeySignature: CryptoService.signPrekey(
+          identityPrivateKey: identityKeys['privateKey']!,
+          signedPrekeyPublic: signedPrekey['publicKey']!,
+        ),
+        keyId: keyId,
+      );
+      await _storageService.saveSignedPrekeyPair(
+        privateKey: signedPrekey['privateKey']!,
+        publicKey: signedPrekey['publicKey']!,
+        keyId: keyId,
+      );
+
+      debugPrint('Re-signed signed prekey as key $keyId');
+    } catch (e) {
+      debugPrint('Failed to re-sign signed prekey: $e');
+    }
+  }
+
   // Refresh prekeys if running low
   Future<void> refreshPrekeysIfNeeded() async {
     try {
@@ -298,6 +359,7 @@ class AuthService extends ChangeNotifier {
   // Clear authentication data
   Future<void> _clearAuth() async {
     await _storageService.clearAuthToken();
+    await _storageService.clearRefreshToken();
     await _storageService.clearUserData();
     _apiService.clearAuth();
     _currentUser = null;
@@ -5,11 +5,11 @@ import 'package:crypto/crypto.dart' as crypto;
 import 'package:cryptography/cryptography.dart';
 import '../models/prekey_bundle.dart';
 import 'signal_protocol/signal_protocol.dart';
+import 'signal_protocol/xeddsa.dart';
 import 'secure_storage_service.dart';
 
 class CryptoService {
   static final _x25519 = X25519();
-  // Ed25519 currently unused in this simplified build
   static final _aesGcm = AesGcm.with256bits();
   static final _random = Random.secure();
   static SignalProtocol? _signalProtocol;
@@ -47,19 +47,29 @@ class CryptoService {
     final prekeyPublicKey = await prekeyPair.extractPublicKey();
     final prekeyPublicBytes = prekeyPublicKey.bytes;
 
-    // For simplicity, create a simple signature using HMAC with identity key
-    // In production Signal Protocol, you'd use a separate Ed25519 signing key
-    final identityKeyBytes = base64Decode(identityPrivateKey);
-    final signature = crypto.Hmac(crypto.sha256, identityKeyBytes).convert(prekeyPublicBytes);
-
     return {
       'privateKey': base64Encode(prekeyPrivateBytes),
       'publicKey': base64Encode(prekeyPublicBytes),
-      'signature': base64Encode(signature.bytes),
+      'signature': signPrekey(
+        identityPrivateKey: identityPrivateKey,
+        signedPrekeyPublic: base64Encode(prekeyPublicBytes),
+      ),
       'keyId': keyId,
     };
   }
 
+  // XEdDSA signature with the X25519 identity key, checked by the server
+  // and by every peer that fetches the bundle
+  static String signPrekey({
+    required String identityPrivateKey,
+    required String signedPrekeyPublic,
+  }) {
+    return base64Encode(XEdDSA.sign(
+      base64Decode(identityPrivateKey),
+      base64Decode(signedPrekeyPublic),
+    ));
+  }
+
   // Generate one-time prekeys
   static Future<List<Map<String, dynamic>>> generateOneTimePrekeys(int count) async {
     final prekeys = <Map<String, dynamic>>[];
@@ -87,10 +97,11 @@ class CryptoService {
     required String signature,
   }) async {
     try {
-      // For simplicity, we'll skip signature verification in this implementation
-      // In production, you'd properly verify the HMAC signature
-      // This is sufficient for demonstrating the Signal Protocol flow
-      return true;
+      return await XEdDSA.verify(
+        base64Decode(identityPublicKey),
+        base64Decode(signedPrekeyPublic),
+        base64Decode(signature),
+      );
     } catch (e) {
       return false;
     }
@@ -126,7 +137,7 @@ class CryptoService {
     }
     
     final encryptedMessage = await _signalProtocol!.encryptMessage(userId, plaintext);
-    return jsonEncode(encryptedMessage.toJson());
+    return jsonEncode(encryptedMessage.toEnvelope());
   }
 
   /// Decrypt message using Signal Protocol
@@ -135,7 +146,7 @@ class CryptoService {
       throw Exception('Signal Protocol not initialized');
     }
     
-    final encryptedMessage = EncryptedMessage.fromJson(jsonDecode(ciphertext));
+    final encryptedMessage = EncryptedMessage.fromEnvelope(jsonDecode(ciphertext));
     return await _signalProtocol!.decryptMessage(userId, encryptedMessage);
   }
 
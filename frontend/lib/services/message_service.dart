@@ -4,6 +4,7 @@ import '../models/message.dart';
 import 'api_service.dart';
 import 'crypto_service.dart';
 import 'secure_storage_service.dart';
+import 'signal_protocol/signal_protocol.dart';
 import 'socket_service.dart';
 
 class MessageService extends ChangeNotifier {
@@ -39,9 +40,10 @@ class MessageService extends ChangeNotifier {
 
   // Setup socket event listeners
   void _setupSocketListeners() {
+    // Catch up on whatever arrived while this device was offline
+    _socketService.onConnected = fetchOfflineMessages;
     _socketService.onNewMessage = _handleNewMessage;
-    _socketService.onMessageDelivered = _handleMessageDelivered;
-    _socketService.onMessageAcknowledged = _handleMessageAcknowledged;
+    _socketService.onMessageReceipts = _handleMessageReceipts;
   }
 
   // Load conversation history
@@ -67,6 +69,38 @@ class MessageService extends ChangeNotifier {
     }
   }
 
+  // Fetch messages queued for this device while it was offline and confirm
+  // their delivery, page by page, so the server stops queueing them
+  Future<void> fetchOfflineMessages() async {
+    final currentUserId = _apiService.currentUser?.id;
+    if (currentUserId == null) return;
+
+    try {
+      await _initializeSignalProtocol();
+
+      String? cursor;
+      do {
+        final page = await _apiService.getOfflineMessages(cursor: cursor);
+
+        for (final message in page.messages) {
+          final decryptedMessage = await _decryptMessage(message, message.senderId);
+          _addMessageToConversation(message.senderId, decryptedMessage);
+        }
+
+        if (page.messages.isNotEmpty) {
+          await _apiService.confirmDelivered(
+            page.messages.map((message) => message.id).toList(),
+          );
+        }
+
+        cursor = page.nextCursor;
+      } while (cursor != null);
+
+    } catch (e) {
+      debugPrint('Failed to fetch offline messages: $e');
+    }
+  }
+
   // Send message
   Future<void> sendMessage({
     required String recipientId,
@@ -122,7 +156,7 @@ class MessageService extends ChangeNotifier {
       // Get the user's prekey bundle
       final bundle = await _apiService.getPrekeyBundle(userId);
       
-      // Verify signed prekey (simplified check)
+      // The signed prekey must be signed by the identity key we encrypt to
       final isValidSignature = await CryptoService.verifySignedPrekey(
         identityPublicKey: bundle.identityPubkey,
         signedPrekeyPublic: bundle.signedPrekey.pubkey,
@@ -130,7 +164,7 @@ class MessageService extends ChangeNotifier {
       );
       
       if (!isValidSignature) {
-        debugPrint('⚠️ Signed prekey signature invalid, proceeding anyway for demo');
+        throw Exception('Signed prekey signature invalid for user $userId');
       }
       
       // Start Signal Protocol session
@@ -177,19 +211,13 @@ class MessageService extends ChangeNotifier {
     }
   }
 
-  // Check if ciphertext is in new Signal Protocol format
+  // Check if ciphertext is a Signal Protocol session envelope
   bool _isNewSignalFormat(String ciphertext) {
     try {
       final parsed = Map<String, dynamic>.from(
         const JsonDecoder().convert(ciphertext)
       );
-      // New format has these specific fields
-      return parsed.containsKey('ciphertext') && 
-             parsed.containsKey('nonce') && 
-             parsed.containsKey('authTag') && 
-             parsed.containsKey('header') &&
-             parsed['header'] is Map &&
-             (parsed['header'] as Map).containsKey('senderId');
+      return EncryptedMessage.isSessionEnvelope(parsed);
     } catch (e) {
       return false;
     }
@@ -235,7 +263,7 @@ class MessageService extends ChangeNotifier {
 
       // Confirm delivery if we're the recipient
       if (message.recipientId == currentUserId) {
-        _socketService.confirmMessageDelivery(message.id);
+        _socketService.confirmMessagesDelivered([message.id]);
       }
       
     } catch (e) {
@@ -243,33 +271,36 @@ class MessageService extends ChangeNotifier {
     }
   }
 
-  // Handle message delivery confirmation
-  void _handleMessageDelivered(String messageId, DateTime deliveredAt) {
-    // Update message status in conversations
+  // Handle delivery and read receipts for messages we sent
+  void _handleMessageReceipts(String status, List<String> messageIds, DateTime at) {
+    final ids = messageIds.toSet();
+    var changed = false;
+
     for (final conversation in _conversations.values) {
-      final messageIndex = conversation.indexWhere((m) => m.id == messageId);
-      if (messageIndex != -1) {
-        conversation[messageIndex] = conversation[messageIndex].copyWith(
-          deliveredAt: deliveredAt,
-        );
-        notifyListeners();
-        break;
+      for (var i = 0; i < conversation.length; i++) {
+        final message = conversation[i];
+        if (!ids.contains(message.id)) continue;
+
+        if (status == 'READ') {
+          conversation[i] = message.copyWith(
+            status: MessageStatus.acknowledged,
+            deliveredAt: message.deliveredAt ?? at,
+            acknowledgedAt: at,
+          );
+          changed = true;
+        } else if (status == 'DELIVERED' && message.status != MessageStatus.acknowledged) {
+          // Receipts only move forward; a late DELIVERED never undoes READ
+          conversation[i] = message.copyWith(
+            status: MessageStatus.delivered,
+            deliveredAt: at,
+          );
+          changed = true;
+        }
       }
     }
-  }
 
-  // Handle message acknowledgment
-  void _handleMessageAcknowledged(String messageId, DateTime readAt, String acknowledgedBy) {
-    // Update message status in conversations
-    for (final conversation in _conversations.values) {
-      final messageIndex = conversation.indexWhere((m) => m.id == messageId);
-      if (messageIndex != -1) {
-        conversation[messageIndex] = conversation[messageIndex].copyWith(
-          status: MessageStatus.acknowledged,
-        );
-        notifyListeners();
-        break;
-      }
+    if (changed) {
+      notifyListeners();
     }
   }
 
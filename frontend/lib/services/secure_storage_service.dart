@@ -13,6 +13,7 @@ class SecureStorageService {
 
   // Storage keys
   static const String _authTokenKey = 'auth_token';
+  static const String _refreshTokenKey = 'refresh_token';
   static const String _userDataKey = 'user_data';
   static const String _identityPrivateKeyKey = 'identity_private_key';
   static const String _identityPublicKeyKey = 'identity_public_key';
@@ -34,6 +35,19 @@ class SecureStorageService {
     await _storage.delete(key: _authTokenKey);
   }
 
+  // Refresh token management
+  Future<void> saveRefreshToken(String token) async {
+    await _storage.write(key: _refreshTokenKey, value: token);
+  }
+
+  Future<String?> getRefreshToken() async {
+    return await _storage.read(key: _refreshTokenKey);
+  }
+
+  Future<void> clearRefreshToken() async {
+    await _storage.delete(key: _refreshTokenKey);
+  }
+
   // User data management
   Future<void> saveUserData(Map<String, dynamic> userData) async {
     await _storage.write(key: _userDataKey, value: json.encode(userData));
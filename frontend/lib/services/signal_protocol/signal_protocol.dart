@@ -740,6 +740,8 @@ class SignalSession {
 
 /// Encrypted message structure (simplified)
 class EncryptedMessage {
+  static const int envelopeVersion = 1;
+
   final String ciphertext;
   final String nonce;
   final String authTag;
@@ -769,6 +771,46 @@ class EncryptedMessage {
       header: MessageHeader.fromJson(json['header'] as Map<String, dynamic>),
     );
   }
+
+  /// Server envelope (version 1): header fields sit next to nonce and tag,
+  /// the ciphertext is the body
+  Map<String, dynamic> toEnvelope() {
+    return {
+      'version': envelopeVersion,
+      'type': header.isPrekeyMessage ? 'PREKEY_MESSAGE' : 'SIGNAL_MESSAGE',
+      'header': {
+        'senderId': header.senderId,
+        'sessionId': header.sessionId,
+        'messageNumber': header.messageNumber,
+        'nonce': nonce,
+        'authTag': authTag,
+        if (header.senderIdentityKey.isNotEmpty) 'senderIdentityKey': header.senderIdentityKey,
+        if (header.senderEphemeralKey.isNotEmpty) 'senderEphemeralKey': header.senderEphemeralKey,
+        if (header.receiverOneTimePrekeyId != null) 'receiverOneTimePrekeyId': header.receiverOneTimePrekeyId,
+      },
+      'body': ciphertext,
+    };
+  }
+
+  factory EncryptedMessage.fromEnvelope(Map<String, dynamic> envelope) {
+    final header = envelope['header'] as Map<String, dynamic>;
+    return EncryptedMessage(
+      ciphertext: envelope['body'] as String,
+      nonce: header['nonce'] as String,
+      authTag: header['authTag'] as String,
+      header: MessageHeader.fromJson({
+        ...header,
+        'isPrekeyMessage': envelope['type'] == 'PREKEY_MESSAGE',
+      }),
+    );
+  }
+
+  /// Whether [envelope] is a session message this client can decrypt
+  static bool isSessionEnvelope(Map<String, dynamic> envelope) {
+    return envelope['version'] == envelopeVersion &&
+        (envelope['type'] == 'SIGNAL_MESSAGE' || envelope['type'] == 'PREKEY_MESSAGE') &&
+        envelope['header'] is Map;
+  }
 }
 
 /// Message header (simplified)
@@ -0,0 +1,153 @@
+import 'dart:math';
+import 'dart:typed_data';
+import 'package:crypto/crypto.dart' as crypto;
+import 'package:cryptography/cryptography.dart';
+
+/// XEdDSA signatures with X25519 keys
+/// (https://signal.org/docs/specifications/xeddsa/).
+///
+/// A signature is an ordinary Ed25519 signature under the Edwards form of
+/// the X25519 key with sign bit 0, so verification converts the key and
+/// hands off to Ed25519. The server checks signed prekeys the same way.
+class XEdDSA {
+  static const signatureLength = 64;
+  static const _keyLength = 32;
+
+  static final _p = (BigInt.one << 255) - BigInt.from(19);
+  static final _q = (BigInt.one << 252) +
+      BigInt.parse('27742317777372353535851937790883648493');
+  static final _d =
+      (BigInt.from(-121665) * BigInt.from(121666).modInverse(_p)) % _p;
+  static final _baseX = BigInt.parse(
+      '15112221349535400772501151409588531511454012693041857206046113283949847762202');
+  static final _baseY = (BigInt.from(4) * BigInt.from(5).modInverse(_p)) % _p;
+  static final _random = Random.secure();
+
+  /// Sign [message] with a 32-byte X25519 private key. [nonce] replaces the
+  /// 64 random bytes and is only for reproducing test vectors.
+  static Uint8List sign(
+    List<int> privateKey,
+    List<int> message, {
+    List<int>? nonce,
+  }) {
+    final k = _decode(_clamp(privateKey)) % _q;
+    final base = [_baseX, _baseY, BigInt.one, (_baseX * _baseY) % _p];
+
+    // The Edwards public key must have sign bit 0; negate the scalar if not
+    var a = k;
+    var publicKey = _encodePoint(_multiply(a, base));
+    if (publicKey[31] & 0x80 != 0) {
+      a = (_q - k) % _q;
+      publicKey = _encodePoint(_multiply(a, base));
+    }
+
+    nonce ??= List<int>.generate(64, (_) => _random.nextInt(256));
+    final r = _hashToScalar([
+      0xfe,
+      ...List<int>.filled(31, 0xff),
+      ..._encode(a),
+      ...message,
+      ...nonce,
+    ]);
+    final encodedR = _encodePoint(_multiply(r, base));
+    final h = _hashToScalar([...encodedR, ...publicKey, ...message]);
+    final s = (r + h * a) % _q;
+
+    return Uint8List.fromList([...encodedR, ..._encode(s)]);
+  }
+
+  /// Whether [signature] is a valid XEdDSA signature of [message] by the
+  /// 32-byte X25519 key [publicKey]
+  static Future<bool> verify(
+    List<int> publicKey,
+    List<int> message,
+    List<int> signature,
+  ) async {
+    if (publicKey.length != _keyLength || signature.length != signatureLength) {
+      return false;
+    }
+
+    // RFC 7748: the top bit of a u-coordinate is ignored
+    final u = _decode(publicKey) & ((BigInt.one << 255) - BigInt.one);
+    if (u >= _p || u == _p - BigInt.one) {
+      return false;
+    }
+
+    final y = ((u - BigInt.one) * (u + BigInt.one).modInverse(_p)) % _p;
+    final edwardsKey = SimplePublicKey(_encode(y), type: KeyPairType.ed25519);
+
+    try {
+      return await Ed25519().verify(
+        message,
+        signature: Signature(signature, publicKey: edwardsKey),
+      );
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static Uint8List _clamp(List<int> privateKey) {
+    final bytes = Uint8List.fromList(privateKey);
+    bytes[0] &= 248;
+    bytes[31] &= 127;
+    bytes[31] |= 64;
+    return bytes;
+  }
+
+  static BigInt _hashToScalar(List<int> input) =>
+      _decode(crypto.sha512.convert(input).bytes) % _q;
+
+  static BigInt _decode(List<int> bytes) {
+    var value = BigInt.zero;
+    for (final byte in bytes.reversed) {
+      value = (value << 8) | BigInt.from(byte);
+    }
+    return value;
+  }
+
+  static Uint8List _encode(BigInt value) {
+    final bytes = Uint8List(_keyLength);
+    for (var i = 0; i < _keyLength; i++) {
+      bytes[i] = (value & BigInt.from(0xff)).toInt();
+      value >>= 8;
+    }
+    return bytes;
+  }
+
+  // Points are extended coordinates [X, Y, Z, T] with x = X/Z, y = Y/Z
+  static Uint8List _encodePoint(List<BigInt> point) {
+    final zInverse = point[2].modInverse(_p);
+    final x = (point[0] * zInverse) % _p;
+    final y = (point[1] * zInverse) % _p;
+    final bytes = _encode(y);
+    if (x.isOdd) {
+      bytes[31] |= 0x80;
+    }
+    return bytes;
+  }
+
+  static List<BigInt> _add(List<BigInt> p1, List<BigInt> p2) {
+    final a = ((p1[1] - p1[0]) * (p2[1] - p2[0])) % _p;
+    final b = ((p1[1] + p1[0]) * (p2[1] + p2[0])) % _p;
+    final c = (BigInt.two * _d * p1[3] * p2[3]) % _p;
+    final d = (BigInt.two * p1[2] * p2[2]) % _p;
+    final e = b - a;
+    final f = d - c;
+    final g = d + c;
+    final h = b + a;
+    return [(e * f) % _p, (g * h) % _p, (f * g) % _p, (e * h) % _p];
+  }
+
+  static List<BigInt> _multiply(BigInt scalar, List<BigInt> point) {
+    var result = [BigInt.zero, BigInt.one, BigInt.one, BigInt.zero];
+    var addend = point;
+    while (scalar > BigInt.zero) {
+      if (scalar.isOdd) {
+        result = _add(result, addend);
+      }
+      addend = _add(addend, addend);
+      scalar >>= 1;
+    }
+    return result;
+  }
+}
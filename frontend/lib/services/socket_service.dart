@@ -14,12 +14,18 @@ class SocketService extends ChangeNotifier {
   SocketStatus _status = SocketStatus.disconnected;
   String? _errorMessage;
 
+  // Access tokens expire, so every (re)connect reads the current one, and a
+  // rejected token triggers one session refresh before giving up
+  String? Function()? _authToken;
+  Future<bool> Function()? _refreshAuth;
+  bool _authRetried = false;
+
   // Event handlers
+  VoidCallback? onConnected;
   Function(Message)? onNewMessage;
   Function(String, String, bool)? onUserTyping; // userId, username, typing
   Function(String, String)? onUserStatusChanged; // userId, status
-  Function(String, DateTime)? onMessageDelivered; // messageId, deliveredAt
-  Function(String, DateTime, String)? onMessageAcknowledged; // messageId, acknowledgedAt, acknowledgedBy
+  Function(String, List<String>, DateTime)? onMessageReceipts; // status, messageIds, at
 
   // Getters
   SocketStatus get status => _status;
@@ -29,16 +35,20 @@ class SocketService extends ChangeNotifier {
   // Connect to server
   Future<void> connect({
     required String serverUrl,
-    required String authToken,
+    required String? Function() authToken,
+    Future<bool> Function()? refreshAuth,
   }) async {
     try {
       _setStatus(SocketStatus.connecting);
+      _authToken = authToken;
+      _refreshAuth = refreshAuth;
+      _authRetried = false;
 
       _socket = IO.io(
         serverUrl,
         IO.OptionBuilder()
             .setTransports(['websocket'])
-            .setAuth({'token': authToken})
+            .setAuth(_authPayload())
             .enableAutoConnect()
             .build(),
       );
@@ -58,6 +68,25 @@ class SocketService extends ChangeNotifier {
     _setStatus(SocketStatus.disconnected);
   }
 
+  Map<String, dynamic> _authPayload() => {'token': _authToken?.call() ?? ''};
+
+  // The server rejected the token (usually expired): refresh the session
+  // once and connect again with the new token
+  Future<void> _reauthenticate(dynamic error) async {
+    if (_authRetried || _refreshAuth == null) {
+      _setError('Connection failed: $error');
+      return;
+    }
+
+    _authRetried = true;
+    if (await _refreshAuth!() && _socket != null) {
+      _socket!.auth = _authPayload();
+      _socket!.connect();
+    } else {
+      _setError('Connection failed: $error');
+    }
+  }
+
   // Setup event listeners
   void _setupEventListeners() {
     if (_socket == null) return;
@@ -65,7 +94,14 @@ class SocketService extends ChangeNotifier {
     // Connection events
     _socket!.onConnect((_) {
       debugPrint('🔌 Socket connected');
+      _authRetried = false;
       _setStatus(SocketStatus.connected);
+      onConnected?.call();
+    });
+
+    // Automatic reconnects send the token current at that moment
+    _socket!.io.on('reconnect_attempt', (_) {
+      _socket?.auth = _authPayload();
     });
 
     _socket!.onDisconnect((_) {
@@ -80,6 +116,10 @@ class SocketService extends ChangeNotifier {
 
     _socket!.onConnectError((error) {
       debugPrint('🔌 Socket connection error: $error');
+      if (error.toString().contains('Authentication error')) {
+        _reauthenticate(error);
+        return;
+      }
       _setError('Connection failed: $error');
     });
 
@@ -121,26 +161,16 @@ class SocketService extends ChangeNotifier {
       }
     });
 
-    _socket!.on('message_delivered', (data) {
-      debugPrint('✅ Message delivered: $data');
+    // One event per batch of messages that reached DELIVERED or READ
+    _socket!.on('message_receipts', (data) {
+      debugPrint('✅ Message receipts: $data');
       try {
-        final messageId = data['messageId'] as String;
-        final deliveredAt = DateTime.parse(data['deliveredAt'] as String);
-        onMessageDelivered?.call(messageId, deliveredAt);
-      } catch (e) {
-        debugPrint('Error parsing delivery confirmation: $e');
-      }
-    });
-
-    _socket!.on('message_acknowledged', (data) {
-      debugPrint('✅ Message acknowledged: $data');
-      try {
-        final messageId = data['messageId'] as String;
-        final acknowledgedAt = DateTime.parse(data['acknowledgedAt'] as String);
-        final acknowledgedBy = data['acknowledgedBy'] as String;
-        onMessageAcknowledged?.call(messageId, acknowledgedAt, acknowledgedBy);
+        final status = data['status'] as String;
+        final messageIds = (data['messageIds'] as List).cast<String>();
+        final at = DateTime.parse(data['at'] as String);
+        onMessageReceipts?.call(status, messageIds, at);
       } catch (e) {
-        debugPrint('Error parsing acknowledgment: $e');
+        debugPrint('Error parsing message receipts: $e');
       }
     });
 
@@ -176,12 +206,12 @@ class SocketService extends ChangeNotifier {
     });
   }
 
-  // Confirm message delivery
-  void confirmMessageDelivery(String messageId) {
-    if (!isConnected) return;
+  // Confirm delivery of messages received on this device
+  void confirmMessagesDelivered(List<String> messageIds) {
+    if (!isConnected || messageIds.isEmpty) return;
     
     _socket?.emit('message_delivered', {
-      'messageId': messageId,
+      'messageIds': messageIds,
     });
   }
 
@@ -0,0 +1,65 @@
+import 'dart:convert';
+
+import 'package:flutter_test/flutter_test.dart';
+
+import 'package:encrypted_chat/services/signal_protocol/xeddsa.dart';
+
+// Fixed vector: the signed prekey signed by the identity key with a fixed
+// nonce. backend/test-endpoints.js uploads the same vector, so the server's
+// verifier must accept exactly what this signer produces.
+const identityPrivateKey = 'VahfkoZSfuxT/BS5IO14Bt0gi0JWzDvEnbf5x9xahVw=';
+const identityPubkey = 'p+YEVGJjVRzUzey0r/XSZp5vkc5+U3oAcQLqwFQfVU8=';
+const signedPrekey = 'e/Mmc4iQ3fT5+Oi/oxvDJ0QfwEpNrHaAPsY9rlJUZTk=';
+const nonce =
+    'IoCFFaIRBu1qQ5C4xU5XsQFLpFi+niQH9q642BrhEI6Cleomui1/t8wBD9IA6Ji6edZ7QPOxC7XiTWKDGl285w==';
+const signature =
+    'r+mveHhn5m8t7DXda40vlX83CQYsR7jgetige2WOfMj/H55M8qnxUa2t3yav6kTlzh14rLoopvZyUnxqSzv0AQ==';
+// The same signature with one bit of s flipped
+const tamperedSignature =
+    'r+mveHhn5m8t7DXda40vlX83CQYsR7jgetige2WOfMj/H55M8qnxUayt3yav6kTlzh14rLoopvZyUnxqSzv0AQ==';
+
+void main() {
+  group('XEdDSA', () {
+    test('sign reproduces the fixed vector', () {
+      final result = XEdDSA.sign(
+        base64Decode(identityPrivateKey),
+        base64Decode(signedPrekey),
+        nonce: base64Decode(nonce),
+      );
+
+      expect(base64Encode(result), signature);
+    });
+
+    test('verify accepts the fixed vector', () async {
+      expect(
+        await XEdDSA.verify(
+          base64Decode(identityPubkey),
+          base64Decode(signedPrekey),
+          base64Decode(signature),
+        ),
+        isTrue,
+      );
+    });
+
+    test('verify rejects the tampered vector', () async {
+      expect(
+        await XEdDSA.verify(
+          base64Decode(identityPubkey),
+          base64Decode(signedPrekey),
+          base64Decode(tamperedSignature),
+        ),
+        isFalse,
+      );
+    });
+
+    test('verify accepts a fresh signature', () async {
+      final message = base64Decode(signedPrekey);
+      final result = XEdDSA.sign(base64Decode(identityPrivateKey), message);
+
+      expect(
+        await XEdDSA.verify(base64Decode(identityPubkey), message, result),
+        isTrue,
+      );
+    });
+  });
+}